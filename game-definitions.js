@@ -0,0 +1,161 @@
+/**
+ * GameDefinitions - Shared character, sword, stamina, combat and team tuning
+ * Loaded by server.js with require() and by game.html with a <script> tag,
+ * so both sides always play by the same numbers
+ */
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        // Node (server.js)
+        module.exports = factory();
+    } else {
+        // Browser (game.html / multiplayer.js)
+        root.GameDefinitions = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    // Character types - movement, health and the swords each can carry
+    const CHARACTERS = {
+        knight: {
+            maxHealth: 120,
+            attackPower: 30,
+            maxSpeed: 5,
+            moveSpeed: 5,
+            sprintSpeed: 11,
+            staminaRegenRate: 15,
+            attackCooldown: 1.2, // Seconds between swings
+            swords: ['broadsword', 'greatsword']
+        },
+        samurai: {
+            maxHealth: 100,
+            attackPower: 25,
+            maxSpeed: 6,
+            moveSpeed: 5,
+            sprintSpeed: 11,
+            staminaRegenRate: 15,
+            attackCooldown: 0.8,
+            swords: ['katana', 'dual_daggers']
+        },
+        ninja: {
+            maxHealth: 80,
+            attackPower: 20,
+            maxSpeed: 10,
+            moveSpeed: 7,
+            sprintSpeed: 14,
+            staminaRegenRate: 20, // Faster stamina regeneration for ninja
+            attackCooldown: 0.5,
+            swords: ['ninjato', 'rapier']
+        }
+    };
+
+    // Sword types - damage and range are what the server uses for hit detection
+    // speed is the display stat shown in the weapon panel
+    const SWORDS = {
+        broadsword: { name: 'Broadsword', damage: 11, range: 2.5, cooldown: 1.0, speed: 5, special: null },
+        greatsword: { name: 'Greatsword', damage: 14, range: 3.2, cooldown: 1.4, speed: 3, special: 'stun' },
+        katana: { name: 'Katana', damage: 8, range: 2.8, cooldown: 0.7, speed: 9, special: 'bleed' },
+        dual_daggers: { name: 'Dual Daggers', damage: 6, range: 1.8, cooldown: 0.4, speed: 15, special: 'bleed' },
+        ninjato: { name: 'Ninjato', damage: 7, range: 2.0, cooldown: 0.5, speed: 10, special: 'stealth' },
+        rapier: { name: 'Rapier', damage: 8, range: 3.0, cooldown: 0.6, speed: 9, special: 'critical' }
+    };
+
+    // Stamina pool and costs, shared by every character
+    const STAMINA = {
+        max: 100,
+        sprintCost: 30,    // Per second while sprinting
+        attackCost: 12,    // Base cost per swing, scaled up by weapon damage
+        blockDrain: 8,     // Per second while blocking
+        blockMinimum: 10   // Needed to raise the guard
+    };
+
+    // Combat timing and modifiers
+    const COMBAT = {
+        attackDuration: 500,      // ms - length of the swing animation
+        blockDamageFactor: 0.3    // Blocking reduces damage by 70%
+    };
+
+    // Terrain collision - client prediction and server movement must agree on these,
+    // or every walk into an obstacle is mispredicted and snapped back
+    const COLLISION = {
+        playerRadius: 0.5,
+        hillScale: 1,      // Collision radius relative to the visual radius
+        rockScale: 1.5     // Rocks block slightly more than they show
+    };
+
+    // Teams for team modes - color is used for name tags and the HUD
+    const TEAMS = {
+        red: { name: 'Red', color: '#e53935' },
+        blue: { name: 'Blue', color: '#1e88e5' }
+    };
+
+    /**
+     * Collision radius of a hill or rock
+     * @param {string} type - hill or rock
+     * @param {number} radius - Visual radius from the map data
+     * @returns {number} - Radius that blocks movement
+     */
+    function getTerrainCollisionRadius(type, radius) {
+        return radius * (type === 'rock' ? COLLISION.rockScale : COLLISION.hillScale);
+    }
+
+    /**
+     * Gets the definition for a character type, defaulting to the knight
+     * @param {string} characterType - knight, samurai or ninja
+     * @returns {Object} - Character definition
+     */
+    function getCharacter(characterType) {
+        return CHARACTERS[characterType] || CHARACTERS.knight;
+    }
+
+    /**
+     * Gets the definition for a sword type, defaulting to the broadsword
+     * @param {string} swordType - Sword type key
+     * @returns {Object} - Sword definition
+     */
+    function getSword(swordType) {
+        return SWORDS[swordType] || SWORDS.broadsword;
+    }
+
+    /**
+     * Checks whether a character type may carry a sword type
+     * @param {string} characterType - Character type key
+     * @param {string} swordType - Sword type key
+     * @returns {boolean}
+     */
+    function isSwordAllowed(characterType, swordType) {
+        return getCharacter(characterType).swords.includes(swordType);
+    }
+
+    /**
+     * Time between swings for a character/sword combination - the slower of the two applies
+     * @param {string} characterType - Character type key
+     * @param {string} swordType - Sword type key
+     * @returns {number} - Cooldown in seconds
+     */
+    function getAttackCooldown(characterType, swordType) {
+        return Math.max(getCharacter(characterType).attackCooldown, getSword(swordType).cooldown);
+    }
+
+    /**
+     * Stamina spent on one swing - heavier weapons cost more
+     * @param {string} swordType - Sword type key
+     * @returns {number} - Stamina cost
+     */
+    function getAttackStaminaCost(swordType) {
+        const damageFactor = getSword(swordType).damage / 10;
+        return STAMINA.attackCost + Math.round(STAMINA.attackCost * damageFactor);
+    }
+
+    return {
+        CHARACTERS,
+        SWORDS,
+        STAMINA,
+        COMBAT,
+        COLLISION,
+        TEAMS,
+        getCharacter,
+        getSword,
+        isSwordAllowed,
+        getAttackCooldown,
+        getAttackStaminaCost,
+        getTerrainCollisionRadius
+    };
+});
@@ -77,6 +77,52 @@ class MultiplayerManager {
         this._lastPositionLog = 0;
         this._activePlayerIds = [];
         
+        // Input command protocol - the server simulates our inputs and we predict locally
+        this.useInputProtocol = true;
+        this.inputSequence = 0;
+        this.pendingInputs = [];       // Sent but not yet acknowledged by a snapshot
+        this.maxPendingInputs = 120;
+        this.predictedState = null;    // Locally predicted position and stamina
+        this.speedScale = 1;           // Speed power-up multiplier from the server
+        this._lastInputFrameTime = 0;
+        this._queuedAttack = null;     // Attack waiting to ride on the next input
+        
+        // Match rooms
+        this.currentRoom = null;       // Summary of the room we're playing in
+        this.roomScores = {};
+        this.teamScores = null;        // Team totals in team modes
+        this.localTeam = null;         // Our team in team modes
+        this.roomList = [];
+        this._roomPassword = null;     // Needed to rejoin a private room after reconnecting
+        this.onRoomList = null;        // Optional callback for room list updates
+        this.onRoomError = null;       // Optional callback for failed room requests
+        this.onRoomJoined = null;      // Optional callback once the server moves us into a room
+        this.scoreboard = null;        // Latest scoreboard for our room from the server
+        this.onScoreboard = null;      // Optional callback for scoreboard updates
+        
+        // Spectating - watching a room without a character
+        this.isSpectating = false;
+        this._spectateRoomId = null;   // Rewatched after reconnecting
+        this._spectatePassword = null;
+        this.onSpectating = null;      // Optional callback once the server confirms we're watching
+        
+        // Duels
+        this.duel = null;              // Round state while we're in a duel
+        this.duelChallenge = null;     // Challenge waiting for our answer
+        
+        // Wave survival
+        this.survival = null;          // Shared wave counter and who is down
+        
+        // Ranked matchmaking
+        this.queueStatus = null;       // Latest status while we wait in the queue, otherwise null
+        
+        // Accounts - the session token goes out with every socket handshake
+        this.account = null;           // Username we're logged in as, or null for a guest
+        this.sessionToken = null;
+        this.onAccountChanged = null;  // Optional callback when we log in or out
+        this._reauthenticating = false; // Set while we reconnect to switch sessions
+        this.loadSession();
+        
         // Reconnection logging for easier debugging
         this.reconnectionLogs = [];
         
@@ -248,7 +294,8 @@ class MultiplayerManager {
      * Clean up any detected ghost players (players from previous sessions)
      */
     cleanupGhostPlayers() {
-        if (!this.remotePlayers || !this.socket) return;
+        // Offline remote players (replays) aren't tied to the server's list
+        if (!this.remotePlayers || !this.socket || this._offline) return;
         
         const currentTime = Date.now();
         const playersToRemove = new Set();
@@ -400,6 +447,8 @@ class MultiplayerManager {
                 
                 // Create socket
                 this.socket = io(this.config.serverUrl, {
+                    // Read on every (re)connect, so logging in or out takes effect on the next handshake
+                    auth: (callback) => callback(this.sessionToken ? { token: this.sessionToken } : {}),
                     reconnection: true,
                     reconnectionAttempts: 5,
                     reconnectionDelay: 1000,
@@ -446,11 +495,16 @@ class MultiplayerManager {
         // Connected to server
         this.socket.on('connect', () => {
             this.connected = true;
+            this._reauthenticating = false;
             this.log('Connected to server');
             
             // Reset connection-related state
             this.remotePlayers = {};
             
+            // A new socket means a new server-side input stream
+            this.pendingInputs = [];
+            this.predictedState = null;
+            
             // Begin network quality monitoring
             this._startNetworkMonitoring();
             
@@ -521,6 +575,14 @@ class MultiplayerManager {
         // Connection error
         this.socket.on('connect_error', (error) => {
             this.log(`Connection error: ${error.message}`);
+            
+            // Our saved session expired or was logged out elsewhere - carry on as a guest
+            if (error.message === 'invalid_session') {
+                this.setSession(null, null);
+                this.socket.connect();
+                return;
+            }
+            
             this.updateConnectionStatus('error', 'Connection error');
         });
         
@@ -533,6 +595,10 @@ class MultiplayerManager {
                 playerName: this.playerName
             });
             
+            // The server forgets our place in the matchmaking queue
+            this.queueStatus = null;
+            this.updateQueueHud();
+            
             // Record the time of disconnect for potential reconnection tracking
             this.disconnectedAt = Date.now();
             this.logReconnection(`Recorded disconnect time`, { 
@@ -540,7 +606,9 @@ class MultiplayerManager {
             });
             
             // Show the reconnection logs modal automatically to help debug
-            setTimeout(() => this.showReconnectionLogs(), 500);
+            if (!this._offline && !this._reauthenticating) {
+                setTimeout(() => this.showReconnectionLogs(), 500);
+            }
             
             // Clear heartbeat interval
             if (this.heartbeatInterval) {
@@ -549,7 +617,11 @@ class MultiplayerManager {
             }
             
             // Handle reconnection based on disconnect reason
-            if (reason === 'io server disconnect') {
+            if (this._kicked) {
+                this.logReconnection(`Not reconnecting after being kicked`);
+            } else if (this._offline) {
+                this.logReconnection(`Not reconnecting - playing offline practice`);
+            } else if (reason === 'io server disconnect') {
                 // Server initiated disconnect, try to reconnect manually
                 this.reconnect(reason);
             } else if (reason === 'transport close') {
@@ -585,6 +657,33 @@ class MultiplayerManager {
             this.registerPlayer();
         });
         
+        // We asked for a name that belongs to an account - the server gave us another one
+        this.socket.on('nameRejected', (data) => {
+            this.log(`Name '${data.name}' is registered to an account - playing as ${data.assignedName}`);
+            this.playerName = data.assignedName;
+            if (this.game) {
+                this.game.playerName = data.assignedName;
+                if (this.game.playerCharacter) {
+                    this.game.playerCharacter.name = data.assignedName;
+                }
+            }
+            this.showRoomNotification(`"${data.name}" belongs to a registered account - you are playing as ${data.assignedName}`);
+        });
+        
+        // Kicked by the server (e.g. repeated movement violations) - don't reconnect
+        this.socket.on('kicked', (data) => {
+            this._kicked = true;
+            this.logReconnection(`Kicked by server: ${data.reason}`);
+            this.updateConnectionStatus('disconnected', `Kicked by server (${data.reason})`);
+        });
+        
+        // Answer the server's latency probes so it can lag-compensate our attacks
+        this.socket.on('latencyProbe', (data, ack) => {
+            if (typeof ack === 'function') {
+                ack({ clientTime: Date.now() });
+            }
+        });
+        
         // Ping response
         this.socket.on('pong', (data) => {
             const latency = Date.now() - data.timestamp;
@@ -593,7 +692,7 @@ class MultiplayerManager {
         });
         
         // Handle existing players list received from server
-        this.socket.on('existingPlayers', (playersData) => {
+        this.socket.on('existingPlayers', (playersData, matchState) => {
             this.logReconnection(`Received existingPlayers event from server`, {
                 receivedCount: Object.keys(playersData).length,
                 players: Object.entries(playersData).map(([id, data]) => ({
@@ -634,6 +733,28 @@ class MultiplayerManager {
                 }
             }
             
+            // Mode state for late joiners (e.g. where the flags are)
+            if (matchState && matchState.flags) {
+                this.updateFlagState(matchState.flags);
+            }
+            if (matchState && matchState.hill) {
+                this.updateHillState(matchState.hill);
+            }
+            if (matchState && matchState.zone) {
+                this.updateZoneState(matchState.zone);
+            }
+            if (matchState && matchState.duel) {
+                this.duel = matchState.duel;
+                this.updateMatchHud();
+            }
+            if (matchState && matchState.survival) {
+                this.survival = matchState.survival;
+                this.updateMatchHud();
+            }
+            if (matchState && matchState.powerUps && this.game) {
+                this.game.setServerPowerUps(matchState.powerUps);
+            }
+            
             // Perform a visibility check to ensure players are rendered
             setTimeout(() => {
                 const remotePlayerCount = Object.keys(this.remotePlayers).length;
@@ -860,6 +981,11 @@ class MultiplayerManager {
             }
         });
         
+        // Authoritative world snapshot from the server simulation tick
+        this.socket.on('snapshot', (snapshot) => {
+            this.handleSnapshot(snapshot);
+        });
+        
         // Player attacked
         this.socket.on('playerAttacked', (data) => {
             // Handle remote player attack
@@ -872,7 +998,13 @@ class MultiplayerManager {
             
             // If this is us, update our health
             if (data.id === this.socket.id && this.game.playerCharacter) {
-                this.game.playerCharacter.takeDamage(data.amount, data.attackerId);
+                // The server already applied blocking, so the amount is final
+                this.game.playerCharacter.takeDamage(data.amount, data.attackerId, true);
+                
+                // Snap to the server's health value in case we drifted
+                if (typeof data.health === 'number') {
+                    this.setLocalHealth(data.health);
+                }
                 
                 // Check if we've been defeated
                 if (this.game.playerCharacter.health <= 0) {
@@ -922,10 +1054,38 @@ class MultiplayerManager {
             }
         });
         
+        // Every kill in our room, for the kill feed, plus any streak announcements it earned
+        this.socket.on('killFeed', (data) => {
+            this.addKillFeedEntry(data);
+            data.announcements.forEach(announcement => this.showKillAnnouncement(announcement));
+        });
+        
+        // Power-ups are spawned and handed out by the server, so everyone sees the same ones
+        this.socket.on('powerUpSpawned', (data) => {
+            if (this.game) {
+                this.game.addServerPowerUp(data.powerUp);
+            }
+        });
+        
+        this.socket.on('powerUpCollected', (data) => {
+            if (this.game) {
+                this.game.removeServerPowerUp(data.id);
+            }
+            if (data.playerId === this.socket.id) {
+                this.handlePowerUpCollected(data);
+            }
+        });
+        
         // Player respawned
         this.socket.on('playerRespawned', (data) => {
             this.log(`Player ${data.id} respawned at position (${data.position.x}, ${data.position.y}, ${data.position.z})`);
             
+            // The server respawned us (e.g. at the start of a match)
+            if (data.id === this.socket.id) {
+                this.placeLocalPlayer(data.position, true);
+                return;
+            }
+            
             // If this is a remote player, update their position and make them visible
             if (this.remotePlayers[data.id]) {
                 this.remotePlayers[data.id].position.set(data.position.x, data.position.y, data.position.z);
@@ -957,35 +1117,29 @@ class MultiplayerManager {
         this.socket.on('syncPosition', (data) => {
             this.logReconnection(`Received position sync from server`, data);
             
-            // If this is our own position, check if it's accurate
+            // The server rejected our movement - snap back to the position it accepted
             if (data.id === this.socket.id && this.game && this.game.playerCharacter) {
-                const myPos = this.game.playerCharacter.mesh.position;
+                const character = this.game.playerCharacter;
                 const serverPos = data.position;
                 
-                // Calculate discrepancy
-                const dx = myPos.x - serverPos.x;
-                const dy = myPos.y - serverPos.y;
-                const dz = myPos.z - serverPos.z;
-                const distance = Math.sqrt(dx*dx + dy*dy + dz*dz);
-                
-                this.logReconnection(`Position sync check`, {
-                    myPosition: {x: myPos.x, y: myPos.y, z: myPos.z},
-                    serverPosition: serverPos,
-                    discrepancy: distance
+                this.logReconnection(`Server corrected our position (${data.reason || 'sync'})`, {
+                    myPosition: { x: character.mesh.position.x, y: character.mesh.position.y, z: character.mesh.position.z },
+                    serverPosition: serverPos
                 });
                 
-                // If server position is significantly different, update it
-                if (distance > 5) {
-                    this.logReconnection(`Correcting large position discrepancy (${distance.toFixed(2)} units)`);
-                    // Send an immediate position update to correct
-                    this.socket.emit('playerUpdate', {
-                        id: this.socket.id,
-                        position: {x: myPos.x, y: myPos.y, z: myPos.z},
-                        rotation: this.game.playerCharacter.mesh.rotation.y,
-                        timestamp: Date.now(),
-                        updateId: `correction_${Date.now()}`
-                    });
+                character.position.x = serverPos.x;
+                character.position.y = serverPos.y;
+                character.position.z = serverPos.z;
+                character.mesh.position.set(serverPos.x, serverPos.y, serverPos.z);
+                if (character.velocity) {
+                    character.velocity.x = 0;
+                    character.velocity.z = 0;
                 }
+                
+                // Start predicting again from the corrected position
+                this.pendingInputs = [];
+                this.predictedState = null;
+                this.lastPosition = { x: serverPos.x, y: serverPos.y, z: serverPos.z };
             }
             // For other players, we process updates as normal
             else if (data.id !== this.socket.id) {
@@ -1014,6 +1168,247 @@ class MultiplayerManager {
                 }
             }
         });
+        
+        // Match rooms available on the server
+        this.socket.on('roomList', (data) => {
+            this.roomList = data.rooms || [];
+            this.log(`Received ${this.roomList.length} rooms from server`);
+            if (typeof this.onRoomList === 'function') {
+                this.onRoomList(this.roomList, data);
+            }
+        });
+        
+        // We moved into a room - the server sends its map and players right after this
+        this.socket.on('roomJoined', (data) => {
+            this.log(`Joined room ${data.room.name} (${data.room.id})`);
+            this.enterRoom(data);
+            this.updatePlayerCount(1);
+            
+            this.placeLocalPlayer(data.position, true);
+            this.showRoomNotification(`Joined ${data.room.name} - ${data.room.modeName} on ${data.room.mapName}`);
+            
+            if (typeof this.onRoomJoined === 'function') {
+                this.onRoomJoined(data);
+            }
+        });
+        
+        // We're watching a room - same world data as joining it, but without a character
+        this.socket.on('spectating', (data) => {
+            this.log(`Spectating room ${data.room.name} (${data.room.id})`);
+            this.enterRoom(data);
+            this.updatePlayerCount(0);
+            this.updateConnectionStatus('connected', `Spectating ${data.room.name}`);
+            this.showRoomNotification(`Watching ${data.room.name} - ${data.room.modeName} on ${data.room.mapName}`);
+            
+            if (typeof this.onSpectating === 'function') {
+                this.onSpectating(data);
+            }
+        });
+        
+        // Room lifecycle changes (countdown, match start, results)
+        this.socket.on('roomState', (data) => {
+            if (this.currentRoom && this.currentRoom.id === data.roomId) {
+                this.currentRoom.state = data.state;
+                this.currentRoom.stateEndsAt = data.endsAt;
+            }
+            this.roomScores = data.scores || this.roomScores;
+            this.teamScores = data.teamScores || null;
+            this.updateMatchHud();
+            
+            if (data.state === 'ended') {
+                this.showMatchSummary(data);
+            } else {
+                this.hideMatchSummary();
+            }
+            
+            if (data.state === 'countdown') {
+                const seconds = Math.max(0, Math.round((data.endsAt - Date.now() - (this.serverTimeOffset || 0)) / 1000));
+                this.showRoomNotification(`Match starts in ${seconds} seconds`);
+            } else if (data.state === 'in_progress') {
+                this.showRoomNotification('Fight!');
+            } else if (data.state === 'ended' && data.reason === 'all_downed') {
+                const waves = data.survival ? data.survival.wavesSurvived : 0;
+                this.showRoomNotification(`Everyone is down - you survived ${waves} wave${waves === 1 ? '' : 's'}`);
+            } else if (data.state === 'ended' && data.reason === 'last_standing') {
+                const winner = !data.winner ? 'Nobody survived' :
+                    data.winner.id === this.socket.id ? 'You are the last one standing!' : `${data.winner.name} is the last one standing!`;
+                this.showRoomNotification(`Match over - ${winner}`);
+            } else if (data.state === 'ended') {
+                const scoreName = (this.currentRoom && this.currentRoom.scoreName) || 'kills';
+                const winner = data.winner ?
+                    `${data.winner.name} wins with ${data.winner.score ?? data.winner.kills} ${scoreName}` : 'Draw';
+                this.showRoomNotification(`Match over - ${winner}`);
+            } else if (data.state === 'waiting') {
+                this.showRoomNotification('Waiting for players...');
+            }
+        });
+        
+        // Kill tallies changed during a match
+        this.socket.on('matchScore', (data) => {
+            this.roomScores = data.scores || this.roomScores;
+            this.teamScores = data.teamScores || null;
+            this.updateMatchHud();
+        });
+        
+        // Capture the Flag - a flag was taken, dropped, returned or captured
+        this.socket.on('flagUpdate', (data) => {
+            this.updateFlagState(data.flags);
+            
+            if (data.event) {
+                const team = GameDefinitions.TEAMS[data.event.team];
+                const who = data.event.playerId === this.socket.id ? 'You' : (data.event.playerName || 'The server');
+                const messages = {
+                    pickup: `${who} took the ${team.name} flag!`,
+                    drop: `${who} dropped the ${team.name} flag`,
+                    return: `The ${team.name} flag was returned`,
+                    capture: `${who} captured the ${team.name} flag!`
+                };
+                this.showRoomNotification(messages[data.event.type] || `${team.name} flag ${data.event.type}`);
+            }
+        });
+        
+        // King of the Hill - zone moved, changed hands or ticked
+        this.socket.on('hillUpdate', (data) => {
+            const previousHolder = this.hill ? this.hill.holder : null;
+            this.updateHillState(data.hill);
+            
+            if (data.reason === 'moved') {
+                this.showRoomNotification('The hill has moved!');
+            } else if (data.reason === 'holder' && data.hill.holder && data.hill.holder !== previousHolder) {
+                this.showRoomNotification(`${data.hill.holderName || 'Someone'} controls the hill`);
+            }
+        });
+        
+        // Battle royale - the safe zone started a new phase
+        this.socket.on('zoneUpdate', (data) => {
+            const previousPhase = this.zone ? this.zone.phase : null;
+            this.updateZoneState(data.zone);
+            
+            if (previousPhase !== null && data.zone.phase !== previousPhase) {
+                this.showRoomNotification(data.zone.shrinkStartsAt ?
+                    'The safe zone will shrink again soon!' : 'Final circle!');
+            }
+        });
+        
+        // Wave survival - waves starting and ending, players going down and getting back up
+        this.socket.on('waveUpdate', (data) => {
+            this.survival = data.survival;
+            this.updateMatchHud();
+            
+            const who = data.playerId === this.socket.id ? 'You' : data.playerName;
+            if (data.event === 'wave_start') {
+                this.showRoomNotification(`Wave ${data.survival.wave} - ${data.survival.enemiesLeft} enemies incoming!`);
+            } else if (data.event === 'wave_cleared') {
+                this.showRoomNotification(`Wave ${data.survival.wave} cleared!`);
+            } else if (data.event === 'downed') {
+                this.showRoomNotification(data.playerId === this.socket.id ?
+                    'You are down - a teammate can revive you' : `${who} is down - stand next to them to revive`);
+            } else if (data.event === 'revived') {
+                this.showRoomNotification(`${who} ${data.playerId === this.socket.id ? 'were' : 'was'} revived by ${data.byName}`);
+            }
+        });
+        
+        // The mode holds back respawns (e.g. battle royale until the round ends)
+        this.socket.on('respawnRejected', (data) => {
+            this.log(`Respawn rejected: ${data.reason}`);
+            // Snapshots still say we're dead - let them put us back on the respawn screen
+            this._pendingRespawn = false;
+            // We weren't dead as far as the server knows - nothing to tell the player
+            if (data.reason === 'not_dead') return;
+            this.showRoomNotification(data.reason === 'awaiting_revive' ?
+                'Wait for a teammate to revive you, or for the wave to be cleared' :
+                'Respawns are disabled until the round ends');
+        });
+        
+        // Someone challenged us to a duel
+        this.socket.on('duelChallenge', (data) => {
+            this.log(`Duel challenge from ${data.fromName} (best of ${data.bestOf})`);
+            this.showDuelChallenge(data);
+        });
+        
+        // The challenge we were looking at timed out or its sender left
+        this.socket.on('duelChallengeCancelled', (data) => {
+            if (this.duelChallenge && this.duelChallenge.challengeId === data.challengeId) {
+                this.hideDuelChallenge();
+            }
+        });
+        
+        this.socket.on('duelChallengeSent', (data) => {
+            this.showRoomNotification(`Challenged ${data.targetName} to a best of ${data.bestOf} duel`);
+        });
+        
+        this.socket.on('duelDeclined', (data) => {
+            const name = data.targetName || 'Your opponent';
+            const messages = {
+                declined: `${name} declined your duel`,
+                expired: `${name} did not answer your duel challenge`,
+                player_left: `${name} is no longer online`
+            };
+            this.showRoomNotification(messages[data.reason] || `Duel challenge cancelled (${data.reason})`);
+        });
+        
+        this.socket.on('duelError', (data) => {
+            this.log(`Duel request failed: ${data.reason}`);
+            const messages = {
+                player_not_found: 'No player with that name is online',
+                cannot_challenge_self: 'You cannot duel yourself',
+                target_is_bot: 'Bots do not accept duels',
+                already_duelling: 'One of you is already in a duel or has a challenge pending',
+                challenge_not_found: 'That challenge is no longer open'
+            };
+            this.showRoomNotification(messages[data.reason] || `Duel failed (${data.reason})`);
+        });
+        
+        // Our place in the ranked queue, sent every second while we wait
+        this.socket.on('queueStatus', (data) => {
+            this.queueStatus = data.queued ? data : null;
+            this.updateQueueHud();
+            if (!data.queued) {
+                const messages = {
+                    matched: 'Ranked match found!',
+                    left: 'Left the ranked queue',
+                    not_registered: 'Join the game before queueing for a ranked match'
+                };
+                if (messages[data.reason]) {
+                    this.showRoomNotification(messages[data.reason]);
+                }
+            }
+        });
+        
+        // A duel round started or was won
+        this.socket.on('duelRound', (data) => {
+            this.duel = data.duel;
+            this.updateMatchHud();
+            
+            if (data.event === 'round_start') {
+                this.showRoomNotification(`Round ${data.duel.round} - Fight!`);
+            } else if (data.event === 'round_end') {
+                this.showRoomNotification(`Round ${data.duel.round}: ${this.describeDuelScore(data.duel)}`);
+            }
+        });
+        
+        // Chat, including server announcements such as duel results
+        this.socket.on('chatMessage', (data) => {
+            this.showChatMessage(data);
+        });
+        
+        // The room's scoreboard, sent every second so everyone sees the same numbers
+        this.socket.on('scoreboard', (data) => {
+            this.scoreboard = data;
+            if (typeof this.onScoreboard === 'function') {
+                this.onScoreboard(data);
+            }
+        });
+        
+        // A room request was refused
+        this.socket.on('roomError', (data) => {
+            this.log(`Room ${data.action} failed: ${data.reason}`);
+            if (typeof this.onRoomError === 'function') {
+                this.onRoomError(data);
+            } else {
+                this.showRoomNotification(`Could not ${data.action} room (${data.reason})`);
+            }
+        });
     }
     
     /**
@@ -1163,6 +1558,12 @@ class MultiplayerManager {
             return;
         }
         
+        // Spectators go back to watching instead of joining as a player
+        if (this.isSpectating) {
+            this.sendSpectate();
+            return;
+        }
+        
         // Always check the main isReconnecting flag as well
         isReconnecting = isReconnecting || this.isReconnecting;
         
@@ -1221,6 +1622,12 @@ class MultiplayerManager {
             });
         }
         
+        // A new socket starts in the open arena - go back to the match we were in
+        if (isReconnecting && this.currentRoom && !this.currentRoom.persistent) {
+            this.logReconnection(`Rejoining room ${this.currentRoom.id} after reconnecting`);
+            this.socket.emit('joinRoom', { roomId: this.currentRoom.id, password: this._roomPassword });
+        }
+        
         // Immediately request existing players
         setTimeout(() => {
             this.logReconnection(`Requesting existing players immediately after registration`);
@@ -1235,13 +1642,351 @@ class MultiplayerManager {
     }
     
     /**
-     * Sends a respawn event to the server
+     * Restores a saved login so it goes out with the first handshake
+     */
+    loadSession() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('swordGameSession'));
+            if (saved && saved.username && saved.token) {
+                this.account = saved.username;
+                this.sessionToken = saved.token;
+            }
+        } catch (error) {
+            this.log(`Could not read the saved session: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Remembers (or forgets) our login across page loads
+     * @param {string|null} username - Account username, or null to go back to being a guest
+     * @param {string|null} token - Session token from the server
+     */
+    setSession(username, token) {
+        this.account = username;
+        this.sessionToken = token;
+        try {
+            if (token) {
+                localStorage.setItem('swordGameSession', JSON.stringify({ username, token }));
+            } else {
+                localStorage.removeItem('swordGameSession');
+            }
+        } catch (error) {
+            this.log(`Could not save the session: ${error.message}`);
+        }
+        
+        // Accounts always play under their username
+        if (username) {
+            this.playerName = username;
+        }
+        if (this.onAccountChanged) {
+            this.onAccountChanged(username);
+        }
+    }
+    
+    /**
+     * Registers a new account or logs in to an existing one, then reconnects with the new session
+     * @param {string} action - 'register' or 'login'
+     * @param {string} username - Account username
+     * @param {string} password - Account password
+     * @returns {Promise<string>} - Resolves with the username, rejects with the server's error code as the message
+     */
+    authenticate(action, username, password) {
+        return fetch(`${this.config.serverUrl}/auth/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        })
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || 'server_error');
+                }
+                return data;
+            }))
+            .then(data => {
+                this.log(`Logged in as ${data.username}`);
+                this.setSession(data.username, data.token);
+                this.reconnectWithSession();
+                return data.username;
+            });
+    }
+    
+    /**
+     * Ends our session on the server and reconnects as a guest
+     */
+    logout() {
+        const token = this.sessionToken;
+        this.setSession(null, null);
+        // The account's name is off limits now - we register again once a new name is picked
+        this.playerName = null;
+        this.reconnectWithSession();
+        
+        if (token) {
+            fetch(`${this.config.serverUrl}/auth/logout`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            }).catch(error => this.log(`Logout request failed: ${error.message}`));
+        }
+    }
+    
+    /**
+     * Reconnects so the current session (or none) goes out with a fresh handshake
+     */
+    reconnectWithSession() {
+        if (!this.socket || this._offline) return;
+        this._reauthenticating = true;
+        this.socket.disconnect();
+        this.socket.connect();
+        this.startHeartbeat();
+    }
+    
+    /**
+     * Fetches an account's career stats from the server
+     * @param {string} username - Account username
+     * @returns {Promise<Object>} - Resolves with the profile, rejects with the server's error code as the message
+     */
+    fetchCareerProfile(username) {
+        return fetch(`${this.config.serverUrl}/stats/${encodeURIComponent(username)}`)
+            .then(response => response.json().then(data => {
+                if (!response.ok) {
+                    throw new Error(data.error || 'server_error');
+                }
+                return data;
+            }));
+    }
+    
+    /**
+     * Fetches the all-time, weekly and per-weapon leaderboards from the server
+     * @returns {Promise<Object>} - Resolves with the boards
+     */
+    fetchLeaderboards() {
+        return fetch(`${this.config.serverUrl}/leaderboard`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('server_error');
+                }
+                return response.json();
+            });
+    }
+    
+    /**
+     * Asks the server to respawn us - it picks the spawn point and answers with playerRespawned
+     */
+    sendRespawn() {
+        if (!this.connected) return;
+        
+        this.log('Sending respawn event to server');
+        
+        // Ignore stale "dead" snapshots until the server confirms the respawn
+        this._pendingRespawn = true;
+        
+        // Restart prediction from the respawn point
+        this.pendingInputs = [];
+        this.predictedState = null;
+        
+        this.socket.emit('playerRespawn');
+    }
+    
+    /**
+     * Asks the server for the list of match rooms (answered with 'roomList')
+     */
+    listRooms() {
+        if (!this.connected) return;
+        this.socket.emit('listRooms');
+    }
+    
+    /**
+     * Creates a new match room and moves us into it
+     * @param {Object} options - Room settings
+     * @param {string} options.name - Display name of the room
+     * @param {string} options.mode - Game mode key (e.g. deathmatch)
+     * @param {string} options.map - Map preset key (arena, highlands, boulderfield)
+     * @param {number} options.maxPlayers - Player limit
+     * @param {string} options.password - Optional password that makes the room private
+     * @param {number} options.bots - Fill the room with bots up to this many players (0 for none)
+     * @param {string} options.botDifficulty - easy, normal or hard
+     */
+    createRoom(options = {}) {
+        if (!this.connected) return;
+        this._roomPassword = options.password || null;
+        this.socket.emit('createRoom', options);
+    }
+    
+    /**
+     * Joins an existing match room
+     * @param {string} roomId - Id of the room to join
+     * @param {string} password - Password for private rooms
+     */
+    joinRoom(roomId, password = null) {
+        if (!this.connected) return;
+        this._roomPassword = password;
+        this.socket.emit('joinRoom', { roomId, password });
+    }
+    
+    /**
+     * Joins the best open match, or has the server start a new one
+     * @param {string} mode - Optional game mode to restrict the search to
+     */
+    quickPlay(mode = null) {
+        if (!this.connected) return;
+        this._roomPassword = null;
+        this.socket.emit('quickPlay', { mode });
+    }
+    
+    /**
+     * Joins the ranked matchmaking queue - we keep playing in the open arena until a match is found
+     */
+    joinQueue() {
+        if (!this.connected) return;
+        this.socket.emit('joinQueue');
+    }
+    
+    /**
+     * Leaves the ranked matchmaking queue
+     */
+    leaveQueue() {
+        if (!this.connected) return;
+        this.socket.emit('leaveQueue');
+    }
+    
+    /**
+     * Leaves the current match and returns to the open arena
      */
-    sendRespawn(position) {
+    leaveRoom() {
         if (!this.connected) return;
+        this._roomPassword = null;
+        this.socket.emit('leaveRoom');
+    }
+    
+    /**
+     * Challenges another player to a duel (answered with 'duelChallengeSent' or 'duelError')
+     * @param {string} name - Name of the player to challenge
+     * @param {number} bestOf - Rounds in the duel, 3 or 5
+     */
+    challengeDuel(name, bestOf = 3) {
+        if (!this.connected || !name) return;
+        this.socket.emit('challengeDuel', { name, bestOf });
+    }
+    
+    /**
+     * Accepts or declines the duel challenge we were sent
+     * @param {boolean} accept - Whether to take the duel
+     */
+    respondToDuel(accept) {
+        if (!this.connected || !this.duelChallenge) return;
+        this.socket.emit('respondDuel', { challengeId: this.duelChallenge.challengeId, accept });
+        this.hideDuelChallenge();
+    }
+    
+    /**
+     * Stops playing and watches a room instead - the server removes our player
+     * @param {string|null} roomId - Room to watch, or null for the open arena
+     * @param {string|null} password - Password for a private room
+     */
+    spectate(roomId = null, password = null) {
+        this.isSpectating = true;
+        this._spectateRoomId = roomId;
+        this._spectatePassword = password;
+        this.sendSpectate();
+    }
+    
+    /**
+     * Sends the spectate request for the room we want to watch
+     */
+    sendSpectate() {
+        if (!this.socket || !this.socket.connected) return;
+        this.socket.emit('spectate', {
+            name: this.playerName,
+            roomId: this._spectateRoomId,
+            password: this._spectatePassword
+        });
+    }
+    
+    /**
+     * Resets the per-room state for a room we just joined or started watching
+     * @param {Object} data - roomJoined or spectating event with the room summary and scores
+     */
+    enterRoom(data) {
+        this.currentRoom = data.room;
+        this.roomScores = data.scores || {};
+        this.teamScores = data.room.teamScores || null;
+        this.localTeam = null;
+        this.hideMatchSummary();
+        // The new room sends its own flags and hill with existingPlayers
+        this.updateFlagState(null);
+        this.updateHillState(null);
+        this.updateZoneState(null);
+        this.duel = null;
+        this.survival = null;
+        
+        // Players from the previous room are no longer visible to us
+        Object.keys(this.remotePlayers).forEach(id => this.removeRemotePlayer(id));
+        
+        // Keep the match timer ticking
+        this.updateMatchHud();
+        if (!this._matchHudInterval) {
+            this._matchHudInterval = setInterval(() => this.updateMatchHud(), 1000);
+        }
+    }
+    
+    /**
+     * Drops the server connection for offline practice or replays - no reconnect attempts
+     * @param {string} status - What the connection status shows instead
+     */
+    goOffline(status = 'Offline practice') {
+        this._offline = true;
+        if (this.socket) {
+            this.socket.disconnect();
+        }
+        this.connected = false;
+        
+        // Nobody from the arena should linger in the offline scene, nor should its power-ups
+        Object.keys(this.remotePlayers).forEach(id => this.removeRemotePlayer(id));
+        if (this.game) {
+            this.game.clearPowerUps();
+        }
+        this.speedScale = 1;
+        this.updateConnectionStatus('disconnected', status);
+    }
+    
+    /**
+     * Moves the local character to a server-chosen position, reviving it if needed
+     * @param {Object} position - Position from the server
+     * @param {boolean} revive - Whether to restore health and clear the dead state
+     */
+    placeLocalPlayer(position, revive = false) {
+        const character = this.game && this.game.playerCharacter;
+        if (!character || !position) return;
+        
+        if (revive) {
+            character.isDead = false;
+            character.isAttacking = false;
+            character.isBlocking = false;
+            character.stamina = character.maxStamina;
+            character.mesh.visible = true;
+            this.setLocalHealth(character.maxHealth);
+            
+            // The server revived us - the respawn button is no longer needed
+            const respawnOverlay = document.getElementById('respawn-overlay');
+            if (respawnOverlay) {
+                respawnOverlay.remove();
+            }
+        }
         
-        this.log(`Sending respawn event to server at position (${position.x}, ${position.y}, ${position.z})`);
-        this.socket.emit('playerRespawn', { position });
+        character.position.x = position.x;
+        character.position.y = position.y;
+        character.position.z = position.z;
+        character.mesh.position.set(position.x, position.y, position.z);
+        if (character.velocity) {
+            character.velocity.x = 0;
+            character.velocity.z = 0;
+        }
+        
+        // Start predicting again from the new position
+        this._pendingRespawn = false;
+        this.pendingInputs = [];
+        this.predictedState = null;
+        this.lastPosition = { x: position.x, y: position.y, z: position.z };
     }
     
     /**
@@ -1266,9 +2011,7 @@ class MultiplayerManager {
             attackData = {
                 position: { x: 0, y: 0, z: 0 },
                 direction: { x: 0, y: 0, z: 1 },
-                swordType: this.playerCharacter ? this.playerCharacter.swordType : 'broadsword',
-                damage: 10,
-                hitPlayers: []
+                swordType: this.playerCharacter ? this.playerCharacter.swordType : 'broadsword'
             };
         }
         
@@ -1285,12 +2028,19 @@ class MultiplayerManager {
                 z: (attackData.direction && typeof attackData.direction.z === 'number') ? attackData.direction.z : 1
             },
             swordType: attackData.swordType || (this.playerCharacter ? this.playerCharacter.swordType : 'broadsword'),
-            damage: typeof attackData.damage === 'number' ? attackData.damage : 10,
-            hitPlayers: Array.isArray(attackData.hitPlayers) ? attackData.hitPlayers : []
+            // Lets the server rewind targets to what we were looking at
+            timestamp: Date.now(),
+            viewDelay: this._interpolationTime || 100
         };
         
         console.log('[MultiplayerManager] Sanitized attack data:', sanitizedData);
         
+        // With the input protocol the attack goes out with the next input command
+        if (this.useInputProtocol) {
+            this._queuedAttack = sanitizedData;
+            return;
+        }
+        
         // Send the attack event to the server
         this.socket.emit('playerAttack', sanitizedData);
     }
@@ -1341,10 +2091,13 @@ class MultiplayerManager {
         
         // Reduce movement threshold to send updates more frequently
         const minMovementThreshold = 0.02; // Reduced from 0.05 to be more responsive
+        // Movement and blocking travel as input commands, so only metadata and the heartbeat go out here
         const shouldUpdate = !this.lastPosition || 
-                            delta > minMovementThreshold ||
-                            Math.abs(this.lastRotation - rotation) > 0.05 || // Only update on significant rotation changes 
-                            forceUpdate;
+                            forceUpdate ||
+                            (!this.useInputProtocol && (
+                                delta > minMovementThreshold ||
+                                Math.abs(this.lastRotation - rotation) > 0.05 || // Only update on significant rotation changes 
+                                !!character.isBlocking !== this.lastBlocking)); // Block state changes go out immediately
         
         if (!shouldUpdate) return;
         
@@ -1369,6 +2122,7 @@ class MultiplayerManager {
             z: position.z
         };
         this.lastRotation = rotation;
+        this.lastBlocking = !!character.isBlocking;
         
         // Generate unique update ID
         const updateId = `${now}_${Math.random().toString(36).substring(2, 7)}`;
@@ -1383,6 +2137,7 @@ class MultiplayerManager {
                 z: position.z
             },
             rotation: rotation,
+            isBlocking: !!character.isBlocking,
             characterType: this.characterType, // Include character type in every update
             swordType: this.swordType, // Include sword type in every update
             timestamp: now,
@@ -1454,6 +2209,7 @@ class MultiplayerManager {
                 rotation: playerData.rotation || 0,
                 isAttacking: !!playerData.isAttacking,
                 isBlocking: !!playerData.isBlocking,
+                team: playerData.team || null,
                 lastUpdateTime: Date.now(),
                 _lastUpdateTime: Date.now()
             };
@@ -1967,13 +2723,16 @@ class MultiplayerManager {
             ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
             ctx.fillRect(0, 0, canvas.width, canvas.height);
             
+            // Team modes color the tag with the player's team
+            const team = playerData.team && GameDefinitions.TEAMS[playerData.team];
+            
             // Draw border like a Minecraft name tag
-            ctx.strokeStyle = 'rgb(80, 80, 80)';
+            ctx.strokeStyle = team ? team.color : 'rgb(80, 80, 80)';
             ctx.lineWidth = 4;
             ctx.strokeRect(2, 2, canvas.width-4, canvas.height-4);
             
             // Draw player name in Minecraft style
-            ctx.fillStyle = 'white';
+            ctx.fillStyle = team ? team.color : 'white';
             ctx.font = 'bold 32px Arial, sans-serif';
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
@@ -2124,6 +2883,13 @@ class MultiplayerManager {
             nameChanged = true;
         }
         
+        // A team change recolors the name tag too
+        if (playerData.team !== undefined && (playerData.team || null) !== (remotePlayer.team || null)) {
+            this.log(`Player ${playerData.id} is now on team ${playerData.team}`);
+            remotePlayer.team = playerData.team || null;
+            nameChanged = true;
+        }
+        
         // Find the player mesh in the scene
         let playerMesh = null;
         if (this.game && this.game.scene) {
@@ -2275,13 +3041,289 @@ class MultiplayerManager {
     }
     
     /**
-     * Handles a remote player's attack
+     * Applies an authoritative snapshot from the server simulation tick
+     * @param {Object} snapshot - Snapshot data
+     * @param {number} snapshot.tick - Server tick number
+     * @param {number} snapshot.serverTime - Server time when the snapshot was taken
+     * @param {Array} snapshot.players - Public state of every registered player
      */
-    handleRemotePlayerAttack(data) {
-        try {
-            // Add clear debug logging for attack events
-            console.log(`🗡️ REMOTE ATTACK RECEIVED from player ${data?.id}`, data);
-            
+    handleSnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.players)) return;
+        
+        // Drop snapshots that arrive out of order
+        if (this.lastSnapshotTick && snapshot.tick <= this.lastSnapshotTick) return;
+        this.lastSnapshotTick = snapshot.tick;
+        this.lastSnapshotTime = Date.now();
+        this._networkStats.packetsReceived++;
+        
+        let hasUnknownPlayers = false;
+        
+        snapshot.players.forEach(state => {
+            // Our own entry reconciles local health and stamina
+            if (state.id === this.socket.id) {
+                this.applyServerStateToLocalPlayer(state);
+                return;
+            }
+            
+            if (!this.remotePlayers[state.id]) {
+                hasUnknownPlayers = true;
+                return;
+            }
+            
+            this.updateRemotePlayer(state);
+        });
+        
+        // Ask for full player data if the snapshot mentions players we don't know yet (throttled)
+        const now = Date.now();
+        if (hasUnknownPlayers && (!this._lastUnknownPlayersRequest || now - this._lastUnknownPlayersRequest > 2000)) {
+            this._lastUnknownPlayersRequest = now;
+            this.socket.emit('requestExistingPlayers');
+        }
+    }
+    
+    /**
+     * Reconciles the local character with the server's authoritative state
+     * @param {Object} state - Our entry from a server snapshot
+     */
+    applyServerStateToLocalPlayer(state) {
+        const character = this.game && this.game.playerCharacter;
+        if (!character) return;
+        
+        // Waiting for the server to process our respawn - snapshots may still say we're dead
+        if (this._pendingRespawn) {
+            if (state.isDead) return;
+            this._pendingRespawn = false;
+        }
+        
+        // The server decided we're dead - run the local defeat path once
+        if (state.isDead && !character.isDead) {
+            this.log(`Server reports we were defeated by ${state.lastAttackerId || 'unknown'}`);
+            character.takeDamage(Math.max(1, character.health), state.lastAttackerId, true);
+            return;
+        }
+        
+        // Team assignment (team modes) comes from the server too
+        if (state.team !== undefined && state.team !== this.localTeam) {
+            this.localTeam = state.team;
+            this.updateMatchHud();
+        }
+        
+        // Health and stamina are owned by the server
+        if (typeof state.health === 'number' && state.health !== character.health && !character.isDead) {
+            this.setLocalHealth(state.health);
+        }
+        if (this.useInputProtocol && state.position && typeof state.lastProcessedInput === 'number') {
+            // Position and stamina come from replaying our unacknowledged inputs
+            this.speedScale = state.speedScale || 1;
+            this.reconcilePrediction(state);
+        } else if (typeof state.stamina === 'number') {
+            character.stamina = state.stamina;
+        }
+    }
+    
+    /**
+     * Samples the local controls into a sequenced input command, applies it to the
+     * predicted state and sends it to the server
+     */
+    sendInput() {
+        const character = this.game.playerCharacter;
+        if (!this.socket || !character.mesh) return;
+        
+        // Measure the frame this input covers
+        const frameTime = performance.now();
+        const dt = this._lastInputFrameTime ? Math.min((frameTime - this._lastInputFrameTime) / 1000, 0.1) : 0;
+        this._lastInputFrameTime = frameTime;
+        
+        // Dead players don't move - the server drops their input anyway
+        if (character.isDead || dt <= 0) return;
+        
+        // Start predicting from wherever the character currently is
+        if (!this.predictedState) {
+            this.predictedState = {
+                x: character.position.x,
+                y: character.position.y,
+                z: character.position.z,
+                stamina: character.stamina
+            };
+        }
+        
+        const controls = this.game.controls || {};
+        const input = {
+            seq: ++this.inputSequence,
+            dt: dt,
+            forward: !!controls.forward,
+            backward: !!controls.backward,
+            left: !!controls.left,
+            right: !!controls.right,
+            sprint: !!controls.sprint,
+            block: !!controls.block,
+            // The camera yaw drives movement in first person
+            yaw: this.game.isFirstPerson ? (this.game.yaw || 0) : (character.rotation || 0),
+            attack: false,
+            timestamp: Date.now(),
+            // How far behind the server our view of remote players is drawn
+            viewDelay: this._interpolationTime || 100
+        };
+        
+        // Attach an attack started this frame
+        if (this._queuedAttack) {
+            input.attack = true;
+            input.direction = this._queuedAttack.direction;
+            input.swordType = this._queuedAttack.swordType;
+            this._queuedAttack = null;
+        }
+        
+        // Predict locally so movement responds immediately
+        this.applyInputToState(this.predictedState, input);
+        this.applyPredictedState();
+        
+        // Keep the input until the server acknowledges it
+        this.pendingInputs.push(input);
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+        
+        this.socket.emit('playerInput', input);
+    }
+    
+    /**
+     * Advances a predicted state by one input command, using the same rules as the
+     * server's applyPlayerInput
+     * @param {Object} state - Predicted state ({x, y, z, stamina}), modified in place
+     * @param {Object} input - The input command
+     */
+    applyInputToState(state, input) {
+        const character = this.game.playerCharacter;
+        const dt = input.dt;
+        
+        // Camera-relative movement basis
+        const forwardX = -Math.sin(input.yaw);
+        const forwardZ = -Math.cos(input.yaw);
+        const rightX = Math.cos(input.yaw);
+        const rightZ = -Math.sin(input.yaw);
+        
+        let moveX = 0;
+        let moveZ = 0;
+        if (input.forward) { moveX += forwardX; moveZ += forwardZ; }
+        if (input.backward) { moveX -= forwardX; moveZ -= forwardZ; }
+        if (input.left) { moveX -= rightX; moveZ -= rightZ; }
+        if (input.right) { moveX += rightX; moveZ += rightZ; }
+        
+        // Normalize so diagonal movement isn't faster
+        const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+        const isMoving = length > 0.0001;
+        const isSprinting = isMoving && input.sprint && state.stamina > 0;
+        
+        if (isMoving) {
+            const speed = (isSprinting ? character.sprintSpeed : character.moveSpeed) * this.speedScale;
+            const limit = (this.game.map ? this.game.map.size : 300) / 2 - 2;
+            const nextX = Math.max(-limit, Math.min(limit, state.x + (moveX / length) * speed * dt));
+            const nextZ = Math.max(-limit, Math.min(limit, state.z + (moveZ / length) * speed * dt));
+            
+            // Blocked by a hill or rock - stay put for this step (collision objects
+            // already carry the shared collision radii, as the server uses them)
+            const characterRadius = GameDefinitions.COLLISION.playerRadius;
+            const blocked = (this.game.collisionObjects || []).some(obj => {
+                if (obj.type !== 'hill' && obj.type !== 'rock') return false;
+                const dx = nextX - obj.position.x;
+                const dz = nextZ - obj.position.z;
+                return Math.sqrt(dx * dx + dz * dz) < characterRadius + obj.radius;
+            });
+            
+            if (!blocked) {
+                state.x = nextX;
+                state.z = nextZ;
+            }
+        }
+        
+        // Stamina: sprinting and blocking drain it, otherwise it regenerates
+        if (isSprinting) {
+            state.stamina -= character.staminaSprintCost * dt;
+        } else if (input.block && character.isBlocking) {
+            state.stamina -= GameDefinitions.STAMINA.blockDrain * dt;
+        } else {
+            state.stamina += character.staminaRegenRate * dt;
+        }
+        state.stamina = Math.max(0, Math.min(character.staminaMax, state.stamina));
+    }
+    
+    /**
+     * Rebuilds the predicted state from the server's authoritative state by replaying
+     * every input the server hasn't processed yet
+     * @param {Object} state - Our entry from a server snapshot
+     */
+    reconcilePrediction(state) {
+        // Drop inputs the server has already applied
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > state.lastProcessedInput);
+        
+        const corrected = {
+            x: state.position.x,
+            y: state.position.y,
+            z: state.position.z,
+            stamina: typeof state.stamina === 'number' ? state.stamina : this.game.playerCharacter.stamina
+        };
+        this.pendingInputs.forEach(input => this.applyInputToState(corrected, input));
+        
+        // Log noticeable mispredictions (throttled)
+        if (this.predictedState) {
+            const dx = corrected.x - this.predictedState.x;
+            const dz = corrected.z - this.predictedState.z;
+            const error = Math.sqrt(dx * dx + dz * dz);
+            const now = Date.now();
+            if (error > 0.5 && (!this._lastCorrectionLog || now - this._lastCorrectionLog > 2000)) {
+                this._lastCorrectionLog = now;
+                this.log(`Server corrected predicted position by ${error.toFixed(2)} units`);
+            }
+        }
+        
+        this.predictedState = corrected;
+        this.applyPredictedState();
+    }
+    
+    /**
+     * Moves the local character to the predicted state
+     */
+    applyPredictedState() {
+        const character = this.game.playerCharacter;
+        if (!character || !this.predictedState) return;
+        
+        character.position.x = this.predictedState.x;
+        character.position.z = this.predictedState.z;
+        character.stamina = this.predictedState.stamina;
+        if (character.mesh) {
+            character.mesh.position.x = this.predictedState.x;
+            character.mesh.position.z = this.predictedState.z;
+        }
+    }
+    
+    /**
+     * Sets the local character's health and refreshes the health UI
+     * @param {number} health - The new health value
+     */
+    setLocalHealth(health) {
+        const character = this.game && this.game.playerCharacter;
+        if (!character) return;
+        
+        character.health = Math.max(0, health);
+        
+        const healthElement = document.getElementById('health');
+        if (healthElement) {
+            healthElement.style.width = `${character.health / (character.maxHealth || 100) * 100}%`;
+        }
+        const gameStateElement = document.getElementById('game-state');
+        if (gameStateElement) {
+            gameStateElement.textContent = `HP: ${character.health}`;
+        }
+    }
+    
+    /**
+     * Handles a remote player's attack
+     */
+    handleRemotePlayerAttack(data) {
+        try {
+            // Add clear debug logging for attack events
+            console.log(`🗡️ REMOTE ATTACK RECEIVED from player ${data?.id}`, data);
+            
             // Validate input data
             if (!data || !data.id) {
                 console.error('Received invalid attack data:', data);
@@ -2389,11 +3431,7 @@ class MultiplayerManager {
             if (this.game.playerCharacter && this.socket && hitPlayers.includes(this.socket.id)) {
                 console.log(`We were hit by player ${data.id}!`);
                 
-                // Apply damage
-                let damage = data.damage || 10;
-                if (typeof this.game.playerCharacter.takeDamage === 'function') {
-                    this.game.playerCharacter.takeDamage(damage, data.id);
-                }
+                // Damage itself is applied by the server and arrives via playerDamaged
                 
                 // Play hit sound
                 try {
@@ -2754,7 +3792,7 @@ class MultiplayerManager {
     /**
      * Updates the player count display
      */
-    updatePlayerCount(playerCount = Object.keys(this.remotePlayers).length + 1) {
+    updatePlayerCount(playerCount = Object.keys(this.remotePlayers).length + (this.isSpectating ? 0 : 1)) {
         if (this.playerCountElement) {
             this.playerCountElement.textContent = `Players: ${playerCount}`;
         }
@@ -2925,14 +3963,22 @@ class MultiplayerManager {
             this.cleanupGhostPlayers();
         }
         
-        // Update our position on the server
+        // Send our input and update our position on the server
         if (this.game && this.game.playerCharacter) {
-        this.updatePosition();
+            if (this.useInputProtocol) {
+                this.sendInput();
+            }
+            this.updatePosition();
         }
         
         // Apply interpolation to smooth out remote player movements
         this.interpolatePlayerPositions();
         
+        // Battle royale - the zone wall and minimap follow the shrink
+        if (this.zone) {
+            this.updateZoneVisuals(now);
+        }
+        
         // Update remote player animations and positions
         for (const id in this.remotePlayers) {
             const remotePlayer = this.remotePlayers[id];
@@ -3787,9 +4833,899 @@ class MultiplayerManager {
         this._interpolationTime = newInterpolationTime;
     }
     
+    /**
+     * Show a room/match announcement at the top of the screen
+     * @param {string} message - Text to show
+     */
+    showRoomNotification(message) {
+        const notification = document.createElement('div');
+        notification.textContent = message;
+        notification.style.position = 'absolute';
+        notification.style.top = '15%';
+        notification.style.left = '50%';
+        notification.style.transform = 'translate(-50%, -50%)';
+        notification.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        notification.style.color = 'white';
+        notification.style.padding = '10px 20px';
+        notification.style.borderRadius = '5px';
+        notification.style.fontSize = '20px';
+        notification.style.fontWeight = 'bold';
+        notification.style.zIndex = '1001';
+        notification.style.opacity = '1';
+        notification.style.transition = 'opacity 0.5s';
+        document.body.appendChild(notification);
+        
+        // Fade out and remove
+        setTimeout(() => {
+            notification.style.opacity = '0';
+            setTimeout(() => {
+                notification.remove();
+            }, 500);
+        }, 3000);
+    }
+    
+    /**
+     * Shows an incoming duel challenge with accept and decline buttons
+     * @param {Object} challenge - Challenge from the server
+     */
+    showDuelChallenge(challenge) {
+        this.hideDuelChallenge();
+        this.duelChallenge = challenge;
+        
+        const box = document.createElement('div');
+        box.id = 'duel-challenge';
+        box.style.position = 'absolute';
+        box.style.top = '30%';
+        box.style.left = '50%';
+        box.style.transform = 'translate(-50%, -50%)';
+        box.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        box.style.color = 'white';
+        box.style.padding = '15px 25px';
+        box.style.borderRadius = '8px';
+        box.style.border = '1px solid #ffeb3b';
+        box.style.fontFamily = 'Arial, sans-serif';
+        box.style.textAlign = 'center';
+        box.style.zIndex = '1002';
+        
+        const text = document.createElement('div');
+        text.textContent = `${challenge.fromName} challenges you to a best of ${challenge.bestOf} duel!`;
+        text.style.marginBottom = '10px';
+        text.style.fontSize = '18px';
+        box.appendChild(text);
+        
+        [['Accept', true, '#43a047'], ['Decline', false, '#e53935']].forEach(([label, accept, color]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.margin = '0 5px';
+            button.style.padding = '6px 16px';
+            button.style.backgroundColor = color;
+            button.style.color = 'white';
+            button.style.border = 'none';
+            button.style.borderRadius = '4px';
+            button.style.cursor = 'pointer';
+            button.addEventListener('click', () => this.respondToDuel(accept));
+            box.appendChild(button);
+        });
+        
+        document.body.appendChild(box);
+        
+        // Pointer lock would keep the buttons out of reach
+        if (document.pointerLockElement) {
+            document.exitPointerLock();
+        }
+    }
+    
+    /**
+     * Removes the duel challenge prompt
+     */
+    hideDuelChallenge() {
+        this.duelChallenge = null;
+        const box = document.getElementById('duel-challenge');
+        if (box) box.remove();
+    }
+    
+    /**
+     * Round score of a duel, e.g. "Alice 2 - 1 Bob"
+     * @param {Object} duel - Duel state from the server
+     * @returns {string}
+     */
+    describeDuelScore(duel) {
+        const [first, second] = duel.players;
+        return `${first.name} ${duel.wins[first.id] || 0} - ${duel.wins[second.id] || 0} ${second.name}`;
+    }
+    
+    /**
+     * Adds a message to the chat log in the bottom-left corner
+     * @param {Object} data - Chat message from the server
+     */
+    showChatMessage(data) {
+        let log = document.getElementById('chat-log');
+        if (!log) {
+            log = document.createElement('div');
+            log.id = 'chat-log';
+            log.style.position = 'absolute';
+            log.style.bottom = '200px';
+            log.style.left = '15px';
+            log.style.maxWidth = '350px';
+            log.style.fontFamily = 'Arial, sans-serif';
+            log.style.fontSize = '14px';
+            log.style.zIndex = '100';
+            log.style.pointerEvents = 'none';
+            document.body.appendChild(log);
+        }
+        
+        const line = document.createElement('div');
+        line.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        line.style.color = data.senderId ? 'white' : '#ffeb3b';
+        line.style.padding = '3px 8px';
+        line.style.marginTop = '2px';
+        line.style.borderRadius = '3px';
+        line.style.transition = 'opacity 0.5s';
+        line.textContent = `${data.sender}: ${data.message}`;
+        log.appendChild(line);
+        
+        // Keep the last few lines and let each fade out
+        while (log.children.length > 6) {
+            log.removeChild(log.firstChild);
+        }
+        setTimeout(() => {
+            line.style.opacity = '0';
+            setTimeout(() => line.remove(), 500);
+        }, 10000);
+    }
+    
+    /**
+     * Shows how long we've been in the ranked queue and the rating gap it's searching,
+     * or removes the panel once we're out of the queue
+     */
+    updateQueueHud() {
+        let hud = document.getElementById('queue-hud');
+        if (!this.queueStatus) {
+            if (hud) hud.remove();
+            return;
+        }
+        
+        if (!hud) {
+            hud = document.createElement('div');
+            hud.id = 'queue-hud';
+            hud.style.position = 'absolute';
+            hud.style.bottom = '70px';
+            hud.style.left = '50%';
+            hud.style.transform = 'translateX(-50%)';
+            hud.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            hud.style.color = 'white';
+            hud.style.padding = '5px 15px';
+            hud.style.borderRadius = '5px';
+            hud.style.border = '1px solid #ffeb3b';
+            hud.style.fontSize = '14px';
+            hud.style.fontFamily = 'Arial, sans-serif';
+            hud.style.textAlign = 'center';
+            hud.style.zIndex = '100';
+            hud.style.pointerEvents = 'none';
+            document.body.appendChild(hud);
+        }
+        
+        const status = this.queueStatus;
+        const seconds = Math.floor(status.waitedMs / 1000);
+        const waited = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        hud.textContent = `Ranked queue ${waited} - rating ${status.rating} (searching ±${status.window}) - ` +
+            `${status.queueSize} in queue - M to leave`;
+    }
+    
+    /**
+     * Shows the match timer, team scores and our team at the top of the screen
+     */
+    updateMatchHud() {
+        let hud = document.getElementById('match-hud');
+        
+        // Nothing to show in the open arena
+        if (!this.currentRoom || this.currentRoom.persistent) {
+            if (hud) hud.remove();
+            return;
+        }
+        
+        if (!hud) {
+            hud = document.createElement('div');
+            hud.id = 'match-hud';
+            hud.style.position = 'absolute';
+            hud.style.top = '10px';
+            hud.style.left = '50%';
+            hud.style.transform = 'translateX(-50%)';
+            hud.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+            hud.style.color = 'white';
+            hud.style.padding = '5px 15px';
+            hud.style.borderRadius = '5px';
+            hud.style.fontSize = '16px';
+            hud.style.fontFamily = 'Arial, sans-serif';
+            hud.style.textAlign = 'center';
+            hud.style.zIndex = '100';
+            hud.style.pointerEvents = 'none';
+            document.body.appendChild(hud);
+        }
+        hud.innerHTML = '';
+        
+        const addLine = (parts) => {
+            const line = document.createElement('div');
+            parts.forEach(([text, color]) => {
+                const span = document.createElement('span');
+                span.textContent = text;
+                if (color) span.style.color = color;
+                line.appendChild(span);
+            });
+            hud.appendChild(line);
+        };
+        
+        // Time left in the current phase, in server time
+        const endsAt = this.currentRoom.stateEndsAt;
+        const remaining = endsAt ? Math.max(0, endsAt - (Date.now() + (this.serverTimeOffset || 0))) : null;
+        const clock = remaining !== null ?
+            `${Math.floor(remaining / 60000)}:${String(Math.floor(remaining / 1000) % 60).padStart(2, '0')}` : '';
+        const stateLabels = {
+            waiting: 'Waiting for players',
+            countdown: `Starting in ${clock}`,
+            in_progress: clock ? `Time left ${clock}` : 'In progress',
+            ended: 'Match over'
+        };
+        addLine([[stateLabels[this.currentRoom.state] || this.currentRoom.state]]);
+        
+        // Team totals, e.g. "Red 12 - 9 Blue"
+        if (this.teamScores) {
+            const teamIds = Object.keys(this.teamScores);
+            const parts = [];
+            teamIds.forEach((teamId, index) => {
+                const team = GameDefinitions.TEAMS[teamId];
+                if (index > 0) parts.push([' - ']);
+                const score = Math.floor(this.teamScores[teamId]);
+                parts.push([index === 0 ? `${team.name} ${score}` : `${score} ${team.name}`, team.color]);
+            });
+            addLine(parts);
+        }
+        
+        if (this.localTeam && GameDefinitions.TEAMS[this.localTeam]) {
+            const team = GameDefinitions.TEAMS[this.localTeam];
+            addLine([['You are on the '], [`${team.name} team`, team.color]]);
+        }
+        
+        // Capture the Flag - where each flag is
+        if (this.flags) {
+            Object.keys(this.flags).forEach(teamId => {
+                const flag = this.flags[teamId];
+                const team = GameDefinitions.TEAMS[teamId];
+                let status = 'at base';
+                if (flag.state === 'carried') {
+                    status = flag.carrierId === this.socket.id ? 'carried by YOU' : `carried by ${flag.carrierName || 'unknown'}`;
+                } else if (flag.state === 'dropped') {
+                    const returnsIn = flag.returnsAt ?
+                        Math.max(0, Math.ceil((flag.returnsAt - (Date.now() + (this.serverTimeOffset || 0))) / 1000)) : 0;
+                    status = `dropped (returns in ${returnsIn}s)`;
+                }
+                addLine([[`${team.name} flag`, team.color], [`: ${status}`]]);
+            });
+        }
+        
+        // King of the Hill - who holds the zone and how close we are to winning
+        if (this.hill) {
+            const movesIn = Math.max(0, Math.ceil((this.hill.rotatesAt - (Date.now() + (this.serverTimeOffset || 0))) / 1000));
+            let status = 'empty';
+            if (this.hill.contested) {
+                status = 'CONTESTED';
+            } else if (this.hill.holder) {
+                status = this.isOwnHillHolder(this.hill.holder) ? 'held by YOU' : `held by ${this.hill.holderName || 'unknown'}`;
+            }
+            addLine([[`Hill: ${status} - moves in ${movesIn}s`, this.getHillColor(this.hill)]]);
+            
+            // Progress towards the score limit for us (or our team)
+            const scoreLimit = this.currentRoom.scoreLimit || 100;
+            const ownPoints = this.localTeam && this.teamScores ?
+                this.teamScores[this.localTeam] || 0 :
+                (this.roomScores[this.socket.id] ? this.roomScores[this.socket.id].points || 0 : 0);
+            const bar = document.createElement('div');
+            bar.style.width = '200px';
+            bar.style.height = '10px';
+            bar.style.margin = '4px auto 0 auto';
+            bar.style.backgroundColor = '#333';
+            bar.style.border = '1px solid #666';
+            const fill = document.createElement('div');
+            fill.style.height = '100%';
+            fill.style.width = `${Math.min(100, ownPoints / scoreLimit * 100)}%`;
+            fill.style.backgroundColor = '#43a047';
+            bar.appendChild(fill);
+            hud.appendChild(bar);
+            addLine([[`${Math.floor(ownPoints)} / ${scoreLimit} points`]]);
+        }
+        
+        // Duel - round and round wins
+        if (this.duel) {
+            addLine([[`Round ${this.duel.round} (best of ${this.duel.bestOf}): ${this.describeDuelScore(this.duel)}`, '#ffeb3b']]);
+        }
+        
+        // Battle royale - when the zone moves next and how many are still standing
+        if (this.zone && this.currentRoom.state === 'in_progress') {
+            const serverNow = Date.now() + (this.serverTimeOffset || 0);
+            let status = 'Final circle';
+            if (this.zone.shrinkStartsAt && serverNow < this.zone.shrinkStartsAt) {
+                status = `Zone shrinks in ${Math.ceil((this.zone.shrinkStartsAt - serverNow) / 1000)}s`;
+            } else if (this.zone.shrinkEndsAt && serverNow < this.zone.shrinkEndsAt) {
+                status = 'Zone shrinking!';
+            }
+            const alive = Object.values(this.remotePlayers).filter(p => p.visible).length +
+                (this.game.playerCharacter && !this.game.playerCharacter.isDead ? 1 : 0);
+            addLine([[status, '#4fc3f7'], [` - ${alive} alive`]]);
+        }
+        
+        // Wave survival - the shared wave counter and anyone waiting for a revive
+        if (this.survival && this.currentRoom.state === 'in_progress') {
+            const survival = this.survival;
+            if (survival.phase === 'wave') {
+                addLine([[`Wave ${survival.wave}`, '#ff7043'], [` - ${survival.enemiesLeft} enemies left`]]);
+            } else if (survival.nextWaveAt) {
+                const nextIn = Math.max(0, Math.ceil((survival.nextWaveAt - (Date.now() + (this.serverTimeOffset || 0))) / 1000));
+                addLine([[`Wave ${survival.wave + 1}`, '#ff7043'], [` in ${nextIn}s`]]);
+            }
+            survival.downed.forEach(player => {
+                const name = player.id === this.socket.id ? 'You are' : `${player.name} is`;
+                const progress = player.reviveProgress > 0 ? ` - reviving ${Math.floor(player.reviveProgress * 100)}%` : '';
+                addLine([[`${name} down${progress}`, '#e53935']]);
+            });
+        }
+    }
+    
+    /**
+     * Whether the hill holder is us or our team
+     * @param {string} holder - Player id, or team id in team modes
+     * @returns {boolean}
+     */
+    isOwnHillHolder(holder) {
+        return holder === this.socket.id || (!!this.localTeam && holder === this.localTeam);
+    }
+    
+    /**
+     * Zone color - orange when contested, green when ours, red (or the team color) when someone else's
+     * @param {Object} hill - Hill state from the server
+     * @returns {string}
+     */
+    getHillColor(hill) {
+        if (hill.contested) return '#ff9800';
+        if (!hill.holder) return '#ffffff';
+        if (this.isOwnHillHolder(hill.holder)) return '#43a047';
+        return GameDefinitions.TEAMS[hill.holder] ? GameDefinitions.TEAMS[hill.holder].color : '#e53935';
+    }
+    
+    /**
+     * Applies the server's hill state - places and colors the zone marker
+     * @param {Object|null} hill - Hill state, or null to remove the marker
+     */
+    updateHillState(hill) {
+        this.hill = hill;
+        if (!this.game || !this.game.scene) return;
+        
+        let zone = this.game.scene.getObjectByName('hill_zone');
+        if (!hill) {
+            if (zone) this.game.scene.remove(zone);
+            this.updateMatchHud();
+            return;
+        }
+        
+        // Rebuild the marker when the zone moves or resizes
+        if (zone && (zone.userData.radius !== hill.radius ||
+            zone.position.x !== hill.position.x || zone.position.z !== hill.position.z)) {
+            this.game.scene.remove(zone);
+            zone = null;
+        }
+        
+        if (!zone) {
+            zone = new THREE.Group();
+            zone.name = 'hill_zone';
+            zone.userData.radius = hill.radius;
+            
+            // Ring on the ground marks the edge
+            const ring = new THREE.Mesh(
+                new THREE.RingGeometry(hill.radius - 0.4, hill.radius, 48),
+                new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, transparent: true, opacity: 0.8 })
+            );
+            ring.rotation.x = -Math.PI / 2;
+            ring.position.y = 0.1;
+            zone.add(ring);
+            
+            // Faint wall so the zone can be spotted from a distance
+            const wall = new THREE.Mesh(
+                new THREE.CylinderGeometry(hill.radius, hill.radius, 6, 48, 1, true),
+                new THREE.MeshBasicMaterial({ side: THREE.DoubleSide, transparent: true, opacity: 0.15, depthWrite: false })
+            );
+            wall.position.y = 3;
+            zone.add(wall);
+            
+            zone.position.set(hill.position.x, 0, hill.position.z);
+            this.game.scene.add(zone);
+        }
+        
+        const color = new THREE.Color(this.getHillColor(hill));
+        zone.children.forEach(child => child.material.color.copy(color));
+        
+        this.updateMatchHud();
+    }
+    
+    /**
+     * Where the safe zone is right now - interpolated from the server's shrink schedule
+     * @param {Object} zone - Zone state from the server
+     * @param {number} serverNow - Current time in server time
+     * @returns {{center: {x: number, z: number}, radius: number}}
+     */
+    getZoneCircle(zone, serverNow) {
+        if (!zone.shrinkStartsAt || serverNow < zone.shrinkStartsAt) {
+            return { center: zone.center, radius: zone.radius };
+        }
+        const t = Math.min(1, (serverNow - zone.shrinkStartsAt) / (zone.shrinkEndsAt - zone.shrinkStartsAt));
+        return {
+            center: {
+                x: zone.center.x + (zone.targetCenter.x - zone.center.x) * t,
+                z: zone.center.z + (zone.targetCenter.z - zone.center.z) * t
+            },
+            radius: zone.radius + (zone.targetRadius - zone.radius) * t
+        };
+    }
+    
+    /**
+     * Applies the server's safe zone state - creates or removes the zone wall and minimap
+     * @param {Object|null} zone - Zone state, or null to remove them
+     */
+    updateZoneState(zone) {
+        this.zone = zone;
+        if (!this.game || !this.game.scene) return;
+        
+        let wall = this.game.scene.getObjectByName('safe_zone');
+        let minimap = document.getElementById('zone-minimap');
+        if (!zone) {
+            if (wall) this.game.scene.remove(wall);
+            if (minimap) minimap.remove();
+            this.updateMatchHud();
+            return;
+        }
+        
+        if (!wall) {
+            // Unit cylinder scaled to the current radius every frame
+            wall = new THREE.Mesh(
+                new THREE.CylinderGeometry(1, 1, 40, 64, 1, true),
+                new THREE.MeshBasicMaterial({ color: 0x4fc3f7, side: THREE.DoubleSide, transparent: true, opacity: 0.25, depthWrite: false })
+            );
+            wall.name = 'safe_zone';
+            wall.position.y = 20;
+            this.game.scene.add(wall);
+        }
+        
+        if (!minimap) {
+            minimap = document.createElement('canvas');
+            minimap.id = 'zone-minimap';
+            minimap.width = 160;
+            minimap.height = 160;
+            minimap.style.position = 'absolute';
+            minimap.style.bottom = '10px';
+            minimap.style.right = '10px';
+            minimap.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+            minimap.style.border = '1px solid #666';
+            minimap.style.borderRadius = '5px';
+            minimap.style.zIndex = '100';
+            minimap.style.pointerEvents = 'none';
+            document.body.appendChild(minimap);
+        }
+        
+        this._lastMinimapDraw = 0;
+        this.updateZoneVisuals(Date.now());
+        this.updateMatchHud();
+    }
+    
+    /**
+     * Moves the zone wall to the current circle and redraws the minimap ring
+     * @param {number} now - Current client time
+     */
+    updateZoneVisuals(now) {
+        if (!this.game || !this.game.scene) return;
+        const circle = this.getZoneCircle(this.zone, now + (this.serverTimeOffset || 0));
+        
+        const wall = this.game.scene.getObjectByName('safe_zone');
+        if (wall) {
+            wall.position.x = circle.center.x;
+            wall.position.z = circle.center.z;
+            wall.scale.set(Math.max(0.1, circle.radius), 1, Math.max(0.1, circle.radius));
+        }
+        
+        // The minimap doesn't need to redraw every frame
+        const minimap = document.getElementById('zone-minimap');
+        if (!minimap || now - (this._lastMinimapDraw || 0) < 200) return;
+        this._lastMinimapDraw = now;
+        
+        const ctx = minimap.getContext('2d');
+        const mapSize = this.game.map ? this.game.map.size : 300;
+        const scale = minimap.width / mapSize;
+        const toMap = (x, z) => [(x + mapSize / 2) * scale, (z + mapSize / 2) * scale];
+        ctx.clearRect(0, 0, minimap.width, minimap.height);
+        
+        // Current safe zone
+        const [cx, cz] = toMap(circle.center.x, circle.center.z);
+        ctx.strokeStyle = '#4fc3f7';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(cx, cz, circle.radius * scale, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        // Where it is shrinking to next
+        if (this.zone.targetRadius < circle.radius) {
+            const [tx, tz] = toMap(this.zone.targetCenter.x, this.zone.targetCenter.z);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.arc(tx, tz, this.zone.targetRadius * scale, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+        
+        // Us
+        const character = this.game.playerCharacter;
+        if (character) {
+            const [px, pz] = toMap(character.position.x, character.position.z);
+            ctx.fillStyle = character.isDead ? '#9e9e9e' : '#ffeb3b';
+            ctx.beginPath();
+            ctx.arc(px, pz, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+    
+    /**
+     * Applies the server's flag state - moves the flag meshes and carrier banners
+     * @param {Object|null} flags - Flag state keyed by team, or null to remove all flags
+     */
+    updateFlagState(flags) {
+        this.flags = flags;
+        if (!this.game || !this.game.scene) return;
+        
+        // Drop every banner - carriers get theirs back below
+        const oldObjects = [];
+        this.game.scene.traverse(obj => {
+            if (obj.name && (obj.name.startsWith('flagBanner_') ||
+                (!flags && (obj.name.startsWith('flag_') || obj.name.startsWith('flagBase_'))))) {
+                oldObjects.push(obj);
+            }
+        });
+        oldObjects.forEach(obj => obj.parent && obj.parent.remove(obj));
+        
+        if (!flags) {
+            this.updateMatchHud();
+            return;
+        }
+        
+        Object.keys(flags).forEach(teamId => {
+            const flag = flags[teamId];
+            const color = GameDefinitions.TEAMS[teamId].color;
+            
+            // Base marker - a flat ring in the team color
+            let base = this.game.scene.getObjectByName(`flagBase_${teamId}`);
+            if (!base) {
+                base = new THREE.Mesh(
+                    new THREE.RingGeometry(3.5, 4, 32),
+                    new THREE.MeshBasicMaterial({ color, side: THREE.DoubleSide, transparent: true, opacity: 0.7 })
+                );
+                base.name = `flagBase_${teamId}`;
+                base.rotation.x = -Math.PI / 2;
+                this.game.scene.add(base);
+            }
+            base.position.set(flag.base.x, 0.05, flag.base.z);
+            
+            // The flag itself lies in the world unless someone is carrying it
+            let flagMesh = this.game.scene.getObjectByName(`flag_${teamId}`);
+            if (!flagMesh) {
+                flagMesh = this.createFlagMesh(color, 3);
+                flagMesh.name = `flag_${teamId}`;
+                this.game.scene.add(flagMesh);
+            }
+            flagMesh.visible = flag.state !== 'carried';
+            flagMesh.position.set(flag.position.x, 0, flag.position.z);
+            
+            // Remote carriers show a banner on their back
+            if (flag.state === 'carried' && flag.carrierId !== this.socket.id) {
+                const carrierMesh = this.game.scene.getObjectByName(`player_${flag.carrierId}`);
+                if (carrierMesh) {
+                    const banner = this.createFlagMesh(color, 1.5);
+                    banner.name = `flagBanner_${teamId}`;
+                    banner.position.set(0, 1.2, -0.3);
+                    carrierMesh.add(banner);
+                }
+            }
+        });
+        
+        this.updateMatchHud();
+    }
+    
+    /**
+     * Builds a simple flag - a pole with a colored cloth at the top
+     * @param {string} color - Cloth color
+     * @param {number} height - Pole height
+     * @returns {THREE.Group}
+     */
+    createFlagMesh(color, height) {
+        const group = new THREE.Group();
+        
+        const pole = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.05, 0.05, height, 8),
+            new THREE.MeshStandardMaterial({ color: 0xcccccc })
+        );
+        pole.position.y = height / 2;
+        group.add(pole);
+        
+        const cloth = new THREE.Mesh(
+            new THREE.BoxGeometry(height * 0.4, height * 0.25, 0.05),
+            new THREE.MeshStandardMaterial({ color })
+        );
+        cloth.position.set(height * 0.2, height - height * 0.125, 0);
+        group.add(cloth);
+        
+        return group;
+    }
+    
+    /**
+     * Shows the end-of-match summary with every player's kills and deaths
+     * @param {Object} data - The 'ended' roomState event (results, winner, teamScores)
+     */
+    showMatchSummary(data) {
+        this.hideMatchSummary();
+        
+        const summary = document.createElement('div');
+        summary.id = 'match-summary';
+        summary.style.position = 'absolute';
+        summary.style.top = '50%';
+        summary.style.left = '50%';
+        summary.style.transform = 'translate(-50%, -50%)';
+        summary.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+        summary.style.color = 'white';
+        summary.style.padding = '20px 30px';
+        summary.style.borderRadius = '10px';
+        summary.style.fontFamily = 'Arial, sans-serif';
+        summary.style.zIndex = '1002';
+        summary.style.minWidth = '320px';
+        summary.style.pointerEvents = 'none';
+        
+        const title = document.createElement('h2');
+        title.style.margin = '0 0 10px 0';
+        title.style.textAlign = 'center';
+        title.textContent = data.winner ? `${data.winner.name} wins!` : 'Draw!';
+        if (data.survival) {
+            const waves = data.survival.wavesSurvived;
+            title.textContent = `Survived ${waves} wave${waves === 1 ? '' : 's'}`;
+        }
+        if (data.winner && data.winner.team && GameDefinitions.TEAMS[data.winner.team]) {
+            title.style.color = GameDefinitions.TEAMS[data.winner.team].color;
+        }
+        summary.appendChild(title);
+        
+        // One table per team in team modes, otherwise everyone together
+        const results = Array.isArray(data.results) ? data.results : [];
+        const groups = data.teamScores ?
+            Object.keys(data.teamScores).map(teamId => ({
+                label: `${GameDefinitions.TEAMS[teamId].name} team - ${Math.floor(data.teamScores[teamId])}`,
+                color: GameDefinitions.TEAMS[teamId].color,
+                players: results.filter(result => result.team === teamId)
+            })) :
+            [{ label: 'Results', color: 'white', players: results }];
+        
+        groups.forEach(group => {
+            const heading = document.createElement('div');
+            heading.style.fontWeight = 'bold';
+            heading.style.margin = '10px 0 5px 0';
+            heading.style.color = group.color;
+            heading.textContent = group.label;
+            summary.appendChild(heading);
+            
+            group.players.forEach(result => {
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.justifyContent = 'space-between';
+                row.style.fontWeight = result.id === this.socket.id ? 'bold' : 'normal';
+                const name = document.createElement('span');
+                name.textContent = result.name;
+                const stats = document.createElement('span');
+                const scoreName = this.currentRoom && this.currentRoom.scoreName;
+                if (scoreName === 'points') {
+                    stats.textContent = `${Math.floor(result.points || 0)} pts - ${result.kills} K / ${result.deaths} D`;
+                } else if (scoreName === 'waves') {
+                    // Co-op - what everyone contributed
+                    stats.textContent = `${result.damage || 0} dmg - ${result.kills} K / ${result.deaths} downs`;
+                } else {
+                    stats.textContent = `${result.kills} K / ${result.deaths} D`;
+                }
+                row.appendChild(name);
+                row.appendChild(stats);
+                summary.appendChild(row);
+            });
+        });
+        
+        document.body.appendChild(summary);
+    }
+    
+    /**
+     * Removes the end-of-match summary
+     */
+    hideMatchSummary() {
+        const summary = document.getElementById('match-summary');
+        if (summary) summary.remove();
+    }
+    
     /**
      * Show a kill notification on screen
      */
+    /**
+     * Adds a "killer [weapon] victim" line to the kill feed in the top-right corner
+     * @param {Object} data - killFeed event from the server
+     */
+    addKillFeedEntry(data) {
+        let feed = document.getElementById('kill-feed');
+        if (!feed) {
+            feed = document.createElement('div');
+            feed.id = 'kill-feed';
+            feed.style.position = 'absolute';
+            feed.style.top = '70px';
+            feed.style.right = '20px';
+            feed.style.display = 'flex';
+            feed.style.flexDirection = 'column';
+            feed.style.alignItems = 'flex-end';
+            feed.style.fontFamily = 'Arial, sans-serif';
+            feed.style.fontSize = '14px';
+            feed.style.zIndex = '100';
+            feed.style.pointerEvents = 'none';
+            document.body.appendChild(feed);
+        }
+        
+        const line = document.createElement('div');
+        line.style.display = 'flex';
+        line.style.alignItems = 'center';
+        line.style.gap = '6px';
+        line.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+        line.style.color = 'white';
+        line.style.padding = '3px 8px';
+        line.style.marginTop = '2px';
+        line.style.borderRadius = '3px';
+        line.style.transition = 'opacity 0.5s';
+        // Our own kills and deaths stand out
+        if (data.attackerId === this.socket.id || data.victimId === this.socket.id) {
+            line.style.border = '1px solid #ffeb3b';
+        }
+        
+        const addName = (name, team) => {
+            const span = document.createElement('span');
+            span.textContent = name;
+            span.style.fontWeight = 'bold';
+            if (team && GameDefinitions.TEAMS[team]) {
+                span.style.color = GameDefinitions.TEAMS[team].color;
+            }
+            line.appendChild(span);
+        };
+        if (data.attackerName) {
+            addName(data.attackerName, data.attackerTeam);
+        }
+        line.appendChild(this.createWeaponIcon(data.swordType));
+        addName(data.victimName, data.victimTeam);
+        feed.appendChild(line);
+        
+        // Keep the last few kills and let each fade out
+        while (feed.children.length > 5) {
+            feed.removeChild(feed.firstChild);
+        }
+        setTimeout(() => {
+            line.style.opacity = '0';
+            setTimeout(() => line.remove(), 500);
+        }, 8000);
+    }
+    
+    /**
+     * Draws a small icon for the weapon that made a kill - blade length follows the sword's range
+     * and its width the damage, dual daggers get two blades, and a kill with no weapon (the zone) gets a red ring
+     * @param {string|null} swordType - Sword type key, or null
+     * @returns {SVGElement}
+     */
+    createWeaponIcon(swordType) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const icon = document.createElementNS(svgNS, 'svg');
+        icon.setAttribute('width', '36');
+        icon.setAttribute('height', '16');
+        icon.setAttribute('viewBox', '0 0 36 16');
+        const add = (tag, attributes) => {
+            const element = document.createElementNS(svgNS, tag);
+            Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+            icon.appendChild(element);
+        };
+        
+        if (!swordType) {
+            add('circle', { cx: 18, cy: 8, r: 6, fill: 'none', stroke: '#e53935', 'stroke-width': 2 });
+            return icon;
+        }
+        
+        const sword = GameDefinitions.getSword(swordType);
+        const bladeLength = 8 + sword.range * 6;
+        const bladeWidth = 1 + sword.damage / 5;
+        const blades = swordType === 'dual_daggers' ? [5, 11] : [8];
+        blades.forEach(y => {
+            // Hilt, guard, then the blade pointing at the victim
+            add('line', { x1: 2, y1: y, x2: 7, y2: y, stroke: '#8d6e63', 'stroke-width': 2 });
+            add('line', { x1: 7, y1: y - 3, x2: 7, y2: y + 3, stroke: '#ffd54f', 'stroke-width': 2 });
+            add('line', { x1: 7, y1: y, x2: Math.min(34, 7 + bladeLength), y2: y, stroke: '#e0e0e0', 'stroke-width': bladeWidth });
+        });
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = sword.name;
+        icon.appendChild(title);
+        return icon;
+    }
+    
+    /**
+     * Shows a streak announcement (first blood, double kill, killing spree, shutdown...) across the screen
+     * @param {Object} announcement - { type, playerId, playerName, victimName, count } from the server
+     */
+    showKillAnnouncement(announcement) {
+        const name = announcement.playerId === this.socket.id ? 'You' : announcement.playerName;
+        const messages = {
+            first_blood: `${name} drew first blood!`,
+            double_kill: `${name}: Double Kill!`,
+            triple_kill: `${name}: Triple Kill!`,
+            multi_kill: `${name}: Multi Kill! (${announcement.count})`,
+            killing_spree: `${name} ${name === 'You' ? 'are' : 'is'} on a killing spree!`,
+            rampage: `${name} ${name === 'You' ? 'are' : 'is'} on a rampage!`,
+            unstoppable: `${name} ${name === 'You' ? 'are' : 'is'} unstoppable!`,
+            godlike: `${name} ${name === 'You' ? 'are' : 'is'} godlike!`,
+            shutdown: `${name} shut down ${announcement.victimName}'s ${announcement.count} kill streak!`
+        };
+        if (!messages[announcement.type]) return;
+        
+        // Stack announcements that arrive together instead of drawing them on top of each other
+        let banner = document.getElementById('kill-announcements');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'kill-announcements';
+            banner.style.position = 'absolute';
+            banner.style.top = '22%';
+            banner.style.left = '50%';
+            banner.style.transform = 'translateX(-50%)';
+            banner.style.textAlign = 'center';
+            banner.style.fontFamily = 'Arial, sans-serif';
+            banner.style.zIndex = '1001';
+            banner.style.pointerEvents = 'none';
+            document.body.appendChild(banner);
+        }
+        
+        const line = document.createElement('div');
+        line.textContent = messages[announcement.type];
+        line.style.color = announcement.type === 'shutdown' ? '#4fc3f7' : '#ffeb3b';
+        line.style.fontSize = '26px';
+        line.style.fontWeight = 'bold';
+        line.style.textShadow = '0 0 6px rgba(0, 0, 0, 0.9)';
+        line.style.marginBottom = '4px';
+        line.style.transition = 'opacity 0.5s';
+        banner.appendChild(line);
+        
+        setTimeout(() => {
+            line.style.opacity = '0';
+            setTimeout(() => line.remove(), 500);
+        }, 3000);
+    }
+    
+    /**
+     * Applies and announces a power-up the server gave us - boosts themselves are
+     * enforced by the server and arrive with the next snapshot
+     * @param {Object} data - powerUpCollected event data
+     */
+    handlePowerUpCollected(data) {
+        const seconds = Math.round(data.durationMs / 1000);
+        switch (data.type) {
+            case 'health':
+                this.setLocalHealth(data.health);
+                this.showRoomNotification('Health restored!');
+                break;
+            case 'speed':
+                this.showRoomNotification(`Speed boost for ${seconds} seconds!`);
+                break;
+            case 'power':
+                this.showRoomNotification(`Damage boost for ${seconds} seconds!`);
+                break;
+        }
+    }
+    
     showKillNotification(defeatedPlayerId) {
         // Get player name if available
         const playerName = this.remotePlayers[defeatedPlayerId]?.name || defeatedPlayerId;
@@ -3,8 +3,20 @@ const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
 const cors = require('cors');
 const WebSocket = require('ws'); // Native WebSocket server for diagnostics
+const GameDefinitions = require('./game-definitions'); // Character and sword stats shared with the client
+
+// Per-attack, per-hit and per-rejection logging is noisy under load - set DEBUG_LOGS=true to see it
+const DEBUG_LOGS = process.env.DEBUG_LOGS === 'true';
+function debugLog(...args) {
+    if (DEBUG_LOGS) console.log(...args);
+}
+
+// The tests require this file for its helpers - only `node server.js` listens and starts the timers
+const RUN_AS_SERVER = require.main === module;
 
 // Create Express app and HTTP server
 const app = express();
@@ -80,14 +92,35 @@ io.use((socket, next) => {
     next();
 });
 
+// Check the session token sent with the handshake - no token means playing as a guest
+io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    socket.data.account = null;
+    if (!token) return next();
+
+    const account = getSessionAccount(token);
+    if (!account) {
+        console.log(`[ACCOUNTS] Rejected connection ${socket.id} with an unknown or expired session`);
+        return next(new Error('invalid_session'));
+    }
+    socket.data.account = account.username.toLowerCase();
+    next();
+});
+
 // Add a specific handler for polling transport errors which are common
 io.engine.on('connection_error', (err) => {
     console.error(`\n[ENGINE ERROR] ${err.code}: ${err.message}`);
     console.error(err.stack);
 });
 
-// Serve static files from current directory
-app.use(express.static(__dirname));
+// Serve the client files only - the repo root also holds data/ (accounts, stats),
+// replays/ and the server source, none of which browsers should be able to fetch
+const CLIENT_FILES = ['game.html', 'multiplayer.js', 'game-definitions.js', 'test-client.html'];
+CLIENT_FILES.forEach(file => {
+    app.get(`/${file}`, (req, res) => {
+        res.sendFile(path.join(__dirname, file));
+    });
+});
 
 // Add specific route for Socket.io client library
 app.get('/socket.io/socket.io.js', (req, res) => {
@@ -106,10 +139,82 @@ app.get('/status', (req, res) => {
         connections: Object.keys(io.sockets.sockets).length,
         players: Object.keys(players).length,
         registeredPlayers: Object.keys(players).filter(id => players[id].fullyRegistered).length,
+        rooms: Object.keys(games).length,
+        tick: serverTick,
+        tickRate: TICK_RATE,
         uptime: Math.floor(process.uptime())
     });
 });
 
+// Create an account and log it in
+app.post('/auth/register', express.json(), (req, res) => {
+    const { username, password } = req.body || {};
+    const error = validateCredentials(username, password);
+    if (error) return res.status(400).json({ error });
+    if (getAccount(username)) return res.status(409).json({ error: 'username_taken' });
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    hashPassword(password, salt, (hashError, hash) => {
+        if (hashError) return res.status(500).json({ error: 'server_error' });
+        // Someone else may have taken the name while we were hashing
+        if (getAccount(username)) return res.status(409).json({ error: 'username_taken' });
+
+        const account = {
+            username: username.trim(),
+            salt: salt,
+            passwordHash: hash,
+            createdAt: Date.now(),
+            lastLoginAt: null
+        };
+        accountStore.data.accounts[account.username.toLowerCase()] = account;
+        console.log(`[ACCOUNTS] Registered '${account.username}'`);
+        res.json({ username: account.username, token: createSession(account) });
+    });
+});
+
+// Log in with a username and password
+app.post('/auth/login', express.json(), (req, res) => {
+    const { username, password } = req.body || {};
+    const account = getAccount(username);
+    if (validateCredentials(username, password) || !account) {
+        return res.status(401).json({ error: 'wrong_credentials' });
+    }
+
+    verifyPassword(account, password, (hashError, matches) => {
+        if (hashError) return res.status(500).json({ error: 'server_error' });
+        if (!matches) {
+            console.log(`[ACCOUNTS] Failed login for '${account.username}'`);
+            return res.status(401).json({ error: 'wrong_credentials' });
+        }
+        console.log(`[ACCOUNTS] '${account.username}' logged in`);
+        res.json({ username: account.username, token: createSession(account) });
+    });
+});
+
+// End a session
+app.post('/auth/logout', express.json(), (req, res) => {
+    const token = req.body && req.body.token;
+    if (typeof token === 'string' && accountStore.data.sessions[hashSessionToken(token)]) {
+        delete accountStore.data.sessions[hashSessionToken(token)];
+        saveJsonStore(accountStore);
+    }
+    res.json({ ok: true });
+});
+
+// Career stats for an account
+app.get('/stats/:username', (req, res) => {
+    const profile = buildCareerProfile(req.params.username);
+    if (!profile) {
+        return res.status(404).json({ error: 'player_not_found' });
+    }
+    res.json(profile);
+});
+
+// All-time, weekly and per-weapon leaderboards
+app.get('/leaderboard', (req, res) => {
+    res.json(buildLeaderboards(Date.now()));
+});
+
 // Track connected players
 const players = {};
 const games = {};
@@ -118,33 +223,90 @@ const activeSessions = new Set();
 // Track potential ghost players
 const potentialGhostPlayers = {};
 
-// Map data for consistent terrain across clients
-const gameMap = {
-    // Basic map parameters
-    size: 300,
-    wallHeight: 10,
-    wallThickness: 2,
-    
-    // To store generated terrain features
-    terrain: {
-        hills: [],
-        rocks: [],
-        walls: []
-    }
+// Server-authoritative simulation settings
+const TICK_RATE = 20;                   // Simulation ticks per second
+const TICK_INTERVAL = 1000 / TICK_RATE; // Milliseconds between ticks
+const ATTACK_DURATION = GameDefinitions.COMBAT.attackDuration;
+const BLOCK_STAMINA_DRAIN = GameDefinitions.STAMINA.blockDrain;
+const BLOCK_DAMAGE_FACTOR = GameDefinitions.COMBAT.blockDamageFactor;
+const BLOCK_MIN_STAMINA = GameDefinitions.STAMINA.blockMinimum;
+const MAX_INPUT_DT = 0.1;               // Longest step a single input command may cover (seconds)
+const MAX_QUEUED_INPUTS = 60;           // Inputs buffered per player between ticks
+const PLAYER_COLLISION_RADIUS = GameDefinitions.COLLISION.playerRadius;
+const ATTACK_COOLDOWN_TOLERANCE = 0.05; // Seconds of slack for input timing jitter
+
+// Lag compensation - targets are rewound to where the attacker saw them
+const POSITION_HISTORY_MS = 1000;       // How much movement history to keep per player
+const MAX_REWIND_MS = parseInt(process.env.MAX_REWIND_MS, 10) || 300; // Longest rewind allowed for a hit test
+const MAX_VIEW_DELAY_MS = 250;          // Cap on the client-reported interpolation delay
+const LATENCY_PROBE_INTERVAL = 2000;    // How often the server measures each client's RTT
+
+// Movement anti-cheat
+const MOVEMENT_SPEED_TOLERANCE = 1.3;   // Allowed margin over the character's sprint speed
+const MOVEMENT_SLACK = 1.0;             // Extra units allowed per update for jitter
+const TELEPORT_FACTOR = 4;              // Moves this many times over the limit count as teleports
+const MAX_INPUT_TIME_BUDGET = 0.5;      // Seconds of input a client may bank during a lag spike
+const SYNC_GRACE_PERIOD = 1000;         // ms to ignore in-flight updates after a rubber-band
+const MAX_MOVEMENT_STRIKES = 10;        // Strikes before a player is kicked
+const STRIKE_DECAY_MS = 10000;          // One strike is forgiven per this many clean ms
+
+// Movement and stamina per character type, built from the shared definitions
+const CHARACTER_SIM_STATS = {};
+Object.keys(GameDefinitions.CHARACTERS).forEach(characterType => {
+    const character = GameDefinitions.CHARACTERS[characterType];
+    CHARACTER_SIM_STATS[characterType] = {
+        maxHealth: character.maxHealth,
+        moveSpeed: character.moveSpeed,
+        sprintSpeed: character.sprintSpeed,
+        staminaMax: GameDefinitions.STAMINA.max,
+        staminaRegenRate: character.staminaRegenRate,
+        staminaSprintCost: GameDefinitions.STAMINA.sprintCost
+    };
+});
+
+// Simulation state
+let serverTick = 0;
+let lastTickTime = Date.now();
+// Attacks received from sockets, resolved in order on the next tick
+const pendingAttacks = [];
+
+// Map presets - terrain density for each selectable map
+const MAP_PRESETS = {
+    arena: { name: 'Arena', hills: 45, rocks: 60 },
+    highlands: { name: 'Highlands', hills: 80, rocks: 30 },
+    boulderfield: { name: 'Boulder Field', hills: 20, rocks: 120 }
 };
 
-// Generate a consistent map - this runs once when server starts
-function generateServerMap() {
-    console.log('Generating server-side map...');
-    const mapSize = gameMap.size;
+// Generate a map from a preset - each room gets its own, shared by everyone in it
+function generateServerMap(presetKey = 'arena') {
+    console.log(`Generating server-side map (${presetKey})...`);
+    const preset = MAP_PRESETS[presetKey] || MAP_PRESETS.arena;
+    
+    // Map data for consistent terrain across clients
+    const map = {
+        // Basic map parameters
+        preset: MAP_PRESETS[presetKey] ? presetKey : 'arena',
+        name: preset.name,
+        size: 300,
+        wallHeight: 10,
+        wallThickness: 2,
+        
+        // To store generated terrain features
+        terrain: {
+            hills: [],
+            rocks: [],
+            walls: []
+        }
+    };
+    const mapSize = map.size;
     const mapHalfSize = mapSize / 2;
     
     // Create hills
-    for (let i = 0; i < 45; i++) {
+    for (let i = 0; i < preset.hills; i++) {
         const hillHeight = Math.random() * 3 + 1;
         const hillRadius = Math.random() * 3 + 1;
         
-        gameMap.terrain.hills.push({
+        map.terrain.hills.push({
             height: hillHeight,
             radius: hillRadius,
             position: {
@@ -156,10 +318,10 @@ function generateServerMap() {
     }
     
     // Create rocks
-    for (let i = 0; i < 60; i++) {
+    for (let i = 0; i < preset.rocks; i++) {
         const rockRadius = Math.random() * 0.8 + 0.3;
         
-        gameMap.terrain.rocks.push({
+        map.terrain.rocks.push({
             radius: rockRadius,
             position: {
                 x: Math.random() * 270 - 135,
@@ -175,129 +337,3684 @@ function generateServerMap() {
     }
     
     // Create walls
-    gameMap.terrain.walls = [
-        { pos: [0, gameMap.wallHeight/2, -mapHalfSize], size: [mapSize, gameMap.wallHeight, gameMap.wallThickness] }, // North
-        { pos: [0, gameMap.wallHeight/2, mapHalfSize], size: [mapSize, gameMap.wallHeight, gameMap.wallThickness] },  // South
-        { pos: [-mapHalfSize, gameMap.wallHeight/2, 0], size: [gameMap.wallThickness, gameMap.wallHeight, mapSize] }, // West
-        { pos: [mapHalfSize, gameMap.wallHeight/2, 0], size: [gameMap.wallThickness, gameMap.wallHeight, mapSize] }   // East
+    map.terrain.walls = [
+        { pos: [0, map.wallHeight/2, -mapHalfSize], size: [mapSize, map.wallHeight, map.wallThickness] }, // North
+        { pos: [0, map.wallHeight/2, mapHalfSize], size: [mapSize, map.wallHeight, map.wallThickness] },  // South
+        { pos: [-mapHalfSize, map.wallHeight/2, 0], size: [map.wallThickness, map.wallHeight, mapSize] }, // West
+        { pos: [mapHalfSize, map.wallHeight/2, 0], size: [map.wallThickness, map.wallHeight, mapSize] }   // East
     ];
     
-    console.log(`Map generated with ${gameMap.terrain.hills.length} hills and ${gameMap.terrain.rocks.length} rocks`);
+    console.log(`Map generated with ${map.terrain.hills.length} hills and ${map.terrain.rocks.length} rocks`);
+    return map;
 }
 
-// Generate the map when the server starts
-generateServerMap();
+// Generate the main arena map when the server starts
+const gameMap = generateServerMap('arena');
 
-// Cleanup function for ghost players - improved version
-function cleanupGhostPlayers() {
-    const currentTime = Date.now();
-    const inactiveTimeout = 30000; // 30 seconds
-    let removedCount = 0;
-    
-    // Only print header if we're actually removing players
-    let logHeader = false;
-    
-    // Identify potential ghost players - not updated recently
-    for (const id in players) {
-        const player = players[id];
-        const lastActivity = player.lastActivity || player.joinedAt;
-        const inactiveDuration = currentTime - lastActivity;
-        
-        // If player hasn't updated in a while, mark as potential ghost
-        if (inactiveDuration > inactiveTimeout) {
-            // Only log the first detection
-            if (!potentialGhostPlayers[id]) {
-                potentialGhostPlayers[id] = {
-                    firstDetectedAt: currentTime,
-                    name: player.name,
-                    inactiveFor: inactiveDuration
-                };
+// Match rooms - each room is its own game with a player set, map, scores and lifecycle
+// Rooms are stored in `games` and backed by Socket.io rooms of the same id
+const DEFAULT_ROOM_ID = 'main';          // Open arena every new connection starts in
+const MAX_ROOMS = 20;                    // Including the default arena
+const MAX_ROOM_PLAYERS = 16;
+const ROOM_COUNTDOWN_MS = 10000;         // Countdown once enough players are in
+const ROOM_ENDED_MS = 10000;             // How long results stay up before the next match
+const ROOM_EMPTY_TIMEOUT = 30000;        // Empty rooms are closed after this long
+const SCOREBOARD_INTERVAL = 1000;        // ms between scoreboard updates to each room
+let roomCounter = 0;
+
+// Game modes. Besides the settings below a mode may define hooks:
+// onMatchStart(room, now), onMatchEnd(room, now), onTick(room, delta, now), onPlayerJoin(room, player),
+// onPlayerLeave(room, player), onPlayerKilled(room, victim, attacker),
+// canDamage(room, attacker, target), canRespawn(room, player), getWinner(room, results),
+// isScoreLimitReached(room), getSpawnPosition(room, player), onRoomCreated(room),
+// getMatchState(room) - extra state sent to late joiners with existingPlayers
+// inviteOnly modes can't be created, listed or joined from the lobby; closeAfterMatch
+// modes send everyone back to the open arena once the results have been shown;
+// noBotFill modes bring their own bots instead of being topped up with filler bots;
+// unrated modes don't change skill ratings when someone wins or leaves;
+// cooperative modes have no winner, so their matches count as played but never as a win or loss;
+// respawnRejectedReason is sent to players whose respawn canRespawn refused
+const ROOM_MODES = {
+    deathmatch: {
+        name: 'Deathmatch',
+        minPlayers: 2,        // Players needed to start the countdown
+        scoreLimit: 20,       // Kills that end the match
+        timeLimit: 600000     // ms per match
+    },
+    ranked: {
+        name: 'Ranked Deathmatch',
+        minPlayers: 2,
+        scoreLimit: 15,
+        timeLimit: 480000,
+        inviteOnly: true,     // Only reachable through the matchmaking queue
+        closeAfterMatch: true
+    },
+    team_deathmatch: {
+        name: 'Team Deathmatch',
+        teams: true,
+        scoreName: 'kills',
+        friendlyFire: false,  // Default - rooms can turn it on when created
+        minPlayers: 2,
+        scoreLimit: 50,       // Team kills that end the match
+        timeLimit: 600000,
+        onPlayerJoin: (room, player) => assignTeam(room, player),
+        onMatchStart: (room) => {
+            balanceTeams(room);
+            room.teamScores = createTeamScores();
+        },
+        onPlayerKilled: (room, victim, attacker) => {
+            // Team kills don't score
+            if (attacker && attacker.team && attacker.team !== victim.team) {
+                room.teamScores[attacker.team]++;
             }
-            
-            // If player has been inactive for a long time, remove them
-            if (inactiveDuration > 120000 || // 2 minutes of inactivity
-                (potentialGhostPlayers[id] && (currentTime - potentialGhostPlayers[id].firstDetectedAt > 60000))) {
-                
-                // Print header if we haven't already
-                if (!logHeader) {
-                    console.log(`\n[GHOST CLEANUP] Running ghost player cleanup at ${new Date().toISOString()}`);
-                    logHeader = true;
-                }
-                
-                console.log(`[GHOST CLEANUP] Removing confirmed ghost player ${player.name} (${id}) - inactive for ${Math.floor(inactiveDuration/1000)}s`);
-                
-                // Notify all clients that this player left
-                io.emit('playerLeft', {
-                    id: id,
-                    name: player.name,
-                    lastPosition: player.position,
-                    reason: 'ghost_cleanup'
-                });
-                
-                // Remove player from registry
-                delete players[id];
-                delete potentialGhostPlayers[id];
-                removedCount++;
+        },
+        canDamage: (room, attacker, target) => room.friendlyFire || attacker.team !== target.team,
+        isScoreLimitReached: (room) => isTeamScoreLimitReached(room),
+        getWinner: (room) => getWinningTeam(room),
+        getSpawnPosition: (room, player) => findSpawnPosition(room.map, getTeamSpawnArea(room.map, player.team))
+    },
+    capture_the_flag: {
+        name: 'Capture the Flag',
+        teams: true,
+        scoreName: 'captures',
+        friendlyFire: false,
+        minPlayers: 2,
+        scoreLimit: 3,        // Captures that end the match
+        timeLimit: 900000,
+        onRoomCreated: (room) => setupFlags(room),
+        onPlayerJoin: (room, player) => assignTeam(room, player),
+        onPlayerLeave: (room, player) => dropFlag(room, player, 'left'),
+        onMatchStart: (room) => {
+            balanceTeams(room);
+            room.teamScores = createTeamScores();
+            resetFlags(room);
+        },
+        onMatchEnd: (room) => {
+            resetFlags(room);
+            io.to(room.id).emit('flagUpdate', { roomId: room.id, flags: buildFlagState(room), event: null });
+        },
+        onTick: (room, delta, now) => updateFlags(room, now),
+        onPlayerKilled: (room, victim) => dropFlag(room, victim, 'killed'),
+        canDamage: (room, attacker, target) => room.friendlyFire || attacker.team !== target.team,
+        isScoreLimitReached: (room) => isTeamScoreLimitReached(room),
+        getWinner: (room) => getWinningTeam(room),
+        getSpawnPosition: (room, player) => findSpawnPosition(room.map, getFlagBaseSpawnArea(room, player.team)),
+        getMatchState: (room) => ({ flags: buildFlagState(room) })
+    },
+    king_of_the_hill: {
+        name: 'King of the Hill',
+        scoreName: 'points',
+        minPlayers: 2,
+        scoreLimit: 100,      // Points (one per second on the hill) that end the match
+        timeLimit: 600000,
+        onRoomCreated: (room) => activateNextHill(room, Date.now()),
+        onMatchStart: (room, now) => {
+            resetHillPoints(room);
+            activateNextHill(room, now);
+        },
+        onTick: (room, delta, now) => updateHill(room, delta, now),
+        isScoreLimitReached: (room) => isHillScoreLimitReached(room),
+        getWinner: (room, results) => getHillWinner(room, results),
+        getMatchState: (room) => ({ hill: buildHillState(room) })
+    },
+    team_king_of_the_hill: {
+        name: 'Team King of the Hill',
+        teams: true,
+        scoreName: 'points',
+        friendlyFire: false,
+        minPlayers: 2,
+        scoreLimit: 150,
+        timeLimit: 600000,
+        onRoomCreated: (room) => activateNextHill(room, Date.now()),
+        onPlayerJoin: (room, player) => assignTeam(room, player),
+        onMatchStart: (room, now) => {
+            balanceTeams(room);
+            room.teamScores = createTeamScores();
+            resetHillPoints(room);
+            activateNextHill(room, now);
+        },
+        onTick: (room, delta, now) => updateHill(room, delta, now),
+        canDamage: (room, attacker, target) => room.friendlyFire || attacker.team !== target.team,
+        isScoreLimitReached: (room) => isHillScoreLimitReached(room),
+        getWinner: (room) => getWinningTeam(room),
+        getSpawnPosition: (room, player) => findSpawnPosition(room.map, getTeamSpawnArea(room.map, player.team)),
+        getMatchState: (room) => ({ hill: buildHillState(room) })
+    },
+    battle_royale: {
+        name: 'Battle Royale',
+        scoreName: 'kills',
+        minPlayers: 2,
+        timeLimit: 900000,    // Backstop - the zone normally ends the round well before this
+        onRoomCreated: (room) => resetZone(room, Date.now()),
+        onMatchStart: (room, now) => {
+            room.lastSurvivor = null;
+            resetZone(room, now);
+        },
+        onTick: (room, delta, now) => updateZone(room, now),
+        // Dead players sit out until the round ends
+        canRespawn: (room) => room.state !== 'in_progress',
+        getWinner: (room) => room.lastSurvivor,
+        getMatchState: (room) => ({ zone: buildZoneState(room) })
+    },
+    duel: {
+        name: 'Duel',
+        scoreName: 'rounds',
+        minPlayers: 2,
+        timeLimit: 600000,
+        inviteOnly: true,     // Only reachable through a duel challenge
+        closeAfterMatch: true,
+        onMatchStart: (room, now) => startDuel(room, now),
+        onTick: (room, delta, now) => updateDuel(room, now),
+        onPlayerLeave: (room, player) => forfeitDuel(room, player),
+        onPlayerKilled: (room, victim) => finishDuelRound(room, victim),
+        onMatchEnd: (room) => announceDuelResult(room),
+        // No hits between rounds, and the round timer decides when players come back
+        canDamage: (room) => !room.duel.nextRoundAt,
+        canRespawn: () => false,
+        isScoreLimitReached: (room) => Object.values(room.duel.wins).some(wins => wins >= getDuelWinsNeeded(room)),
+        getWinner: (room) => getDuelWinner(room),
+        getSpawnPosition: (room, player) => findSpawnPosition(room.map, getDuelSpawnArea(room, player)),
+        getMatchState: (room) => ({ duel: buildDuelState(room) })
+    },
+    survival: {
+        name: 'Wave Survival',
+        scoreName: 'waves',
+        minPlayers: 1,
+        noBotFill: true,      // The waves are the bots
+        unrated: true,        // Co-op - nobody beats anybody
+        cooperative: true,
+        respawnRejectedReason: 'awaiting_revive',
+        onRoomCreated: (room) => resetSurvival(room, null),
+        onMatchStart: (room, now) => {
+            clearWaveEnemies(room);
+            resetSurvival(room, now + WAVE_FIRST_DELAY);
+        },
+        onMatchEnd: (room) => clearWaveEnemies(room),
+        onTick: (room, delta, now) => updateSurvival(room, delta, now),
+        onPlayerKilled: (room, victim) => onSurvivalKill(room, victim),
+        // Co-op - players and enemies only hurt the other side
+        canDamage: (room, attacker, target) => !!attacker.isWaveEnemy !== !!target.isWaveEnemy,
+        // Downed players wait for a teammate or the end of the wave; enemies join a wave
+        // alive but stay down once beaten
+        canRespawn: (room, player) => room.state !== 'in_progress' || (!!player.isWaveEnemy && !player.isDead),
+        getWinner: () => null,
+        getSpawnPosition: (room, player) => findSpawnPosition(room.map,
+            player.isWaveEnemy ? getWaveSpawnArea(room.map) : getSurvivorSpawnArea(room.map)),
+        getMatchState: (room) => ({ survival: buildSurvivalState(room) })
+    }
+};
+
+// Create a room record and register it in games
+function createRoom({ name, mode = 'deathmatch', mapPreset = 'arena', maxPlayers = MAX_ROOM_PLAYERS, password = null, friendlyFire = null, persistent = false, createdBy = null, id = null, bots = 0, botDifficulty = 'normal' }) {
+    const roomId = id || `room_${++roomCounter}`;
+    const room = {
+        id: roomId,
+        name: name || `Match ${roomCounter}`,
+        mode: mode,
+        map: roomId === DEFAULT_ROOM_ID ? gameMap : generateServerMap(mapPreset),
+        maxPlayers: maxPlayers,
+        password: password,   // Private rooms need this to join
+        // Team modes only - whether teammates can hurt each other
+        friendlyFire: typeof friendlyFire === 'boolean' ? friendlyFire : !!ROOM_MODES[mode].friendlyFire,
+        persistent: persistent,
+        // The default arena is always live; other rooms wait for players
+        state: persistent ? 'in_progress' : 'waiting',
+        stateEndsAt: null,
+        matchStartedAt: persistent ? Date.now() : null,
+        players: new Set(),   // Socket ids in this room
+        scores: {},           // id -> { name, kills, deaths, team }
+        teamScores: ROOM_MODES[mode].teams ? createTeamScores() : null,
+        // Bots top the room up to this many players while people are in it
+        botTarget: bots,
+        botDifficulty: BOT_DIFFICULTIES[botDifficulty] ? botDifficulty : 'normal',
+        powerUps: {},         // id -> { id, type, position } lying on the map
+        nextPowerUpAt: 0,     // The first one appears as soon as someone is here
+        createdBy: createdBy,
+        createdAt: Date.now(),
+        emptySince: persistent ? null : Date.now()
+    };
+    games[roomId] = room;
+    if (ROOM_MODES[mode].onRoomCreated) {
+        ROOM_MODES[mode].onRoomCreated(room);
+    }
+    console.log(`[ROOM] Created ${room.mode} room '${room.name}' (${roomId}) on ${room.map.name}`);
+    return room;
+}
+
+// Get the room a player is in
+function getPlayerRoom(player) {
+    return (player && games[player.roomId]) || null;
+}
+
+// Get the map a player moves on - the default arena if they're not in a room
+function getPlayerMap(player) {
+    const room = getPlayerRoom(player);
+    return room ? room.map : gameMap;
+}
+
+// Registered players currently in a room
+function getRoomPlayers(room) {
+    const roomPlayers = [];
+    room.players.forEach(id => {
+        if (players[id] && players[id].fullyRegistered) {
+            roomPlayers.push(players[id]);
+        }
+    });
+    return roomPlayers;
+}
+
+// Public description of a room for room lists
+function buildRoomSummary(room) {
+    // Average server-measured latency of the players in the room
+    const roomPlayers = getRoomPlayers(room);
+    const measured = roomPlayers.filter(player => typeof player.rtt === 'number');
+    const ping = measured.length > 0 ?
+        Math.round(measured.reduce((sum, player) => sum + player.rtt, 0) / measured.length) : null;
+
+    return {
+        id: room.id,
+        name: room.name,
+        mode: room.mode,
+        modeName: ROOM_MODES[room.mode].name,
+        map: room.map.preset,
+        mapName: room.map.name,
+        state: room.state,
+        stateEndsAt: room.stateEndsAt,
+        // Bots give up their slot to people, so only humans count towards the limit
+        players: roomPlayers.filter(player => !player.isBot).length,
+        bots: roomPlayers.filter(player => player.isBot && !player.isWaveEnemy).length,
+        spectators: countSpectators(room),
+        botDifficulty: room.botDifficulty,
+        maxPlayers: room.maxPlayers,
+        isPrivate: !!room.password,
+        teams: !!ROOM_MODES[room.mode].teams,
+        scoreName: ROOM_MODES[room.mode].scoreName || 'kills',
+        scoreLimit: ROOM_MODES[room.mode].scoreLimit || null,
+        friendlyFire: room.friendlyFire,
+        teamScores: room.teamScores,
+        ping: ping,
+        persistent: room.persistent
+    };
+}
+
+// Pick a random spawn point on a map that isn't inside terrain
+// area optionally limits it to { minX, maxX, minZ, maxZ }
+function findSpawnPosition(map, area = null) {
+    const spawnRange = map.size / 2 - 10;
+    const bounds = area || { minX: -spawnRange, maxX: spawnRange, minZ: -spawnRange, maxZ: spawnRange };
+    let position = { x: 0, y: 0, z: 0 };
+    for (let attempt = 0; attempt < 20; attempt++) {
+        position = {
+            x: bounds.minX + Math.random() * (bounds.maxX - bounds.minX),
+            y: 0,
+            z: bounds.minZ + Math.random() * (bounds.maxZ - bounds.minZ)
+        };
+        if (!collidesWithTerrain(position, map)) break;
+    }
+    return position;
+}
+
+// Reset health, stamina and combat state and place a player at a spawn point
+function resetPlayerForSpawn(player, position, now = Date.now()) {
+    // A carried flag stays where its carrier was - it must never respawn with them
+    const room = getPlayerRoom(player);
+    if (room && player.carryingFlag) {
+        dropFlag(room, player, 'respawned');
+    }
+
+    const stats = getPlayerSimStats(player);
+    player.health = stats.maxHealth;
+    player.stamina = stats.staminaMax;
+    player.isDead = false;
+    player.isAttacking = false;
+    player.isBlocking = false;
+    player.lastAttackerId = null;
+    player.pendingPosition = null;
+    player.powerUpEffects = null;
+    player.position = position;
+
+    // Don't let hit tests interpolate across the teleport
+    player.positionHistory = [];
+    // ...and don't count it as a movement violation
+    player.lastMoveValidatedAt = now;
+    player.syncPendingUntil = now + SYNC_GRACE_PERIOD;
+}
+
+// Get (or start) a player's score line in a room
+function getRoomScore(room, player) {
+    if (!room.scores[player.id]) {
+        room.scores[player.id] = { name: player.name, kills: 0, deaths: 0, points: 0, damage: 0, team: null };
+    }
+    room.scores[player.id].name = player.name;
+    room.scores[player.id].team = player.team || null;
+    return room.scores[player.id];
+}
+
+// Wave enemies fight but don't appear on the scoreboard
+function isScoredPlayer(player) {
+    return !player.isWaveEnemy;
+}
+
+// Scores sorted best first - points (objective modes) then kills
+// Only players still in the room count - anyone who left gave up their place
+function getRoomResults(room) {
+    return getRoomPlayers(room)
+        .filter(isScoredPlayer)
+        .map(player => {
+            const score = getRoomScore(room, player);
+            return { id: player.id, ...score, points: Math.floor(score.points) };
+        })
+        .sort((a, b) => (b.points - a.points) || (b.kills - a.kills) || (a.deaths - b.deaths));
+}
+
+// Who wins a match everyone else walked out of - the one person still here, or the
+// only team with anyone left. Null if that doesn't single out a winner
+function getForfeitWinner(room, results) {
+    const stayed = getRoomPlayers(room).filter(player => !player.isBot && isScoredPlayer(player));
+    if (stayed.length === 0) return null;
+    if (ROOM_MODES[room.mode].teams) {
+        const team = stayed[0].team;
+        if (!team || stayed.some(player => player.team !== team)) return null;
+        return {
+            team: team,
+            name: `${GameDefinitions.TEAMS[team].name} team`,
+            score: Math.floor(room.teamScores[team])
+        };
+    }
+    return stayed.length === 1 ? results.find(result => result.id === stayed[0].id) || null : null;
+}
+
+// Whether attacks in a room can currently hurt anyone
+function roomAllowsCombat(room) {
+    return !room || room.state === 'waiting' || room.state === 'in_progress';
+}
+
+// Pick the best public room for quick play - a match that's about to start beats one
+// in progress, fuller rooms beat emptier ones. Returns null if none have space
+function findQuickPlayRoom(mode) {
+    const statePriority = { countdown: 0, waiting: 1, in_progress: 2 };
+    let best = null;
+    let bestScore = null;
+    for (const roomId in games) {
+        const room = games[roomId];
+        if (room.persistent || room.password || ROOM_MODES[room.mode].inviteOnly || (mode && room.mode !== mode)) continue;
+        if (!(room.state in statePriority)) continue;
+
+        const playerCount = countHumanPlayers(room);
+        if (playerCount >= room.maxPlayers) continue;
+
+        const score = statePriority[room.state] * 1000 - playerCount;
+        if (bestScore === null || score < bestScore) {
+            best = room;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+// Take a player out of a room (callers notify the room)
+function removePlayerFromRoom(playerId, room) {
+    if (!room) return;
+    room.players.delete(playerId);
+    io.sockets.sockets.get(playerId)?.leave(room.id);
+
+    // Leaving a match under way loses it - counted before the mode hears about it,
+    // since a forfeit can end the match (and the others then win it)
+    if (players[playerId] && room.state === 'in_progress') {
+        if (!room.persistent) {
+            recordMatchResult(players[playerId], ROOM_MODES[room.mode].cooperative ? null : false);
+        }
+        rateForfeit(room, players[playerId]);
+    }
+    const mode = ROOM_MODES[room.mode];
+    if (mode.onPlayerLeave && players[playerId]) {
+        mode.onPlayerLeave(room, players[playerId]);
+    }
+
+    if (room.players.size === 0) {
+        room.emptySince = Date.now();
+    }
+}
+
+// Move a connected player into a room, leaving their current one
+function movePlayerToRoom(socket, room) {
+    const player = players[socket.id];
+    if (!player) return;
+
+    const previousRoom = getPlayerRoom(player);
+    if (previousRoom && previousRoom !== room) {
+        removePlayerFromRoom(socket.id, previousRoom);
+        io.to(previousRoom.id).emit('playerLeft', {
+            id: socket.id,
+            name: player.name,
+            lastPosition: player.position,
+            reason: 'room_change'
+        });
+        console.log(`[ROOM] ${player.name} (${socket.id}) left '${previousRoom.name}'`);
+    }
+
+    player.roomId = room.id;
+    player.team = null;
+    player.carryingFlag = null;
+    player.killStreak = 0;
+    player.lastKillAt = null;
+    room.players.add(socket.id);
+    room.emptySince = null;
+    socket.join(room.id);
+
+    const mode = ROOM_MODES[room.mode];
+    if (mode.onPlayerJoin) {
+        mode.onPlayerJoin(room, player);
+    }
+    getRoomScore(room, player);
+
+    // Fresh spawn on the room's map - queued inputs belong to the old position
+    resetPlayerForSpawn(player, getSpawnPosition(room, player));
+    player.inputQueue = [];
+    player.lastProcessedInput = player.lastQueuedInput;
+
+    // Modes that hold back respawns also keep late joiners out until the next round
+    if (mode.canRespawn && !mode.canRespawn(room, player)) {
+        player.health = 0;
+        player.isDead = true;
+    }
+
+    // The client rebuilds its world from the room's map and existing players
+    socket.emit('mapData', room.map);
+    socket.emit('roomJoined', {
+        room: buildRoomSummary(room),
+        position: player.position,
+        scores: room.scores
+    });
+    if (player.fullyRegistered) {
+        socket.to(room.id).emit('playerJoined', player);
+    }
+    sendExistingPlayersToClient(socket);
+
+    console.log(`[ROOM] ${player.name} (${socket.id}) joined '${room.name}' (${room.players.size} in room)`);
+}
+
+// Change a room's lifecycle state and tell its players
+function setRoomState(room, state, endsAt = null, extra = {}) {
+    room.state = state;
+    room.stateEndsAt = endsAt;
+    io.to(room.id).emit('roomState', {
+        roomId: room.id,
+        state: state,
+        endsAt: endsAt,
+        scores: room.scores,
+        teamScores: room.teamScores,
+        ...extra
+    });
+    console.log(`[ROOM] '${room.name}' (${room.id}) is now ${state}`);
+}
+
+// Start a match - reset scores and respawn everyone
+function startMatch(room, now) {
+    room.matchStartedAt = now;
+    room.scores = {};
+    room.firstBloodTaken = false;
+    getRoomPlayers(room).forEach(player => {
+        player.killStreak = 0;
+        player.lastKillAt = null;
+    });
+
+    // Let the mode set up first (e.g. balance teams) so spawns use the result
+    const mode = ROOM_MODES[room.mode];
+    if (mode.onMatchStart) {
+        mode.onMatchStart(room, now);
+    }
+
+    respawnRoomPlayers(room, now);
+
+    setRoomState(room, 'in_progress', mode.timeLimit ? now + mode.timeLimit : null);
+    startReplay(room, now);
+}
+
+// Put everyone in a room back on their spawn points at full health
+function respawnRoomPlayers(room, now) {
+    getRoomPlayers(room).forEach(player => {
+        if (isScoredPlayer(player)) getRoomScore(room, player);
+        respawnPlayerAtSpawn(room, player, now);
+    });
+}
+
+// Put one player back on a spawn point and tell the room
+function respawnPlayerAtSpawn(room, player, now) {
+    resetPlayerForSpawn(player, getSpawnPosition(room, player), now);
+    io.to(room.id).emit('playerRespawned', {
+        id: player.id,
+        position: player.position
+    });
+}
+
+// End a match and announce the results
+function endMatch(room, now, reason) {
+    const mode = ROOM_MODES[room.mode];
+    if (mode.onMatchEnd) {
+        mode.onMatchEnd(room, now);
+    }
+    const results = getRoomResults(room);
+    // Players who stayed in an abandoned match win it by forfeit
+    const forfeitWinner = reason === 'not_enough_players' ? getForfeitWinner(room, results) : null;
+    const winner = forfeitWinner || (mode.getWinner ? mode.getWinner(room, results) : (results[0] || null));
+    // The mode's final state (e.g. waves survived) goes out with the results
+    const matchState = mode.getMatchState ? mode.getMatchState(room) : {};
+    setRoomState(room, 'ended', now + ROOM_ENDED_MS, { reason, results, winner, ...matchState });
+    saveReplay(room, now, reason, winner);
+
+    // Everyone still in the room played the match
+    getRoomPlayers(room).forEach(player =>
+        recordMatchResult(player, mode.cooperative ? null : isMatchWinner(winner, player)));
+    rateMatchResult(room, winner);
+}
+
+// Whether a player won a match - winners are a player or a whole team
+function isMatchWinner(winner, player) {
+    if (!winner) return false;
+    return winner.id ? winner.id === player.id : !!player.team && winner.team === player.team;
+}
+
+// Send the room's current kill tallies and team scores
+function broadcastMatchScore(room) {
+    io.to(room.id).emit('matchScore', {
+        roomId: room.id,
+        scores: room.scores,
+        teamScores: room.teamScores
+    });
+}
+
+// Everyone in a room with their match stats, best first - points (objective modes) then kills
+// Ping is the server's own round-trip measurement, so it's the same for everyone
+function buildScoreboard(room) {
+    const entries = getRoomPlayers(room)
+        .filter(isScoredPlayer)
+        .map(player => {
+            const score = getRoomScore(room, player);
+            return {
+                id: player.id,
+                name: player.name,
+                characterType: player.characterType,
+                swordType: player.swordType,
+                team: player.team || null,
+                kills: score.kills,
+                deaths: score.deaths,
+                points: Math.floor(score.points),
+                streak: player.killStreak || 0,
+                ping: typeof player.rtt === 'number' ? Math.round(player.rtt) : null,
+                isBot: !!player.isBot
+            };
+        })
+        .sort((a, b) => (b.points - a.points) || (b.kills - a.kills) || (a.deaths - b.deaths));
+    return {
+        roomId: room.id,
+        scoreName: ROOM_MODES[room.mode].scoreName || 'kills',
+        players: entries
+    };
+}
+
+// Send every room with people in it its scoreboard
+function broadcastScoreboards() {
+    for (const roomId in games) {
+        if (games[roomId].players.size === 0) continue;
+        io.to(roomId).emit('scoreboard', buildScoreboard(games[roomId]));
+    }
+}
+
+// Count a kill towards the room's scores
+function recordKill(room, victim, attacker) {
+    if (!room) return;
+    if (isScoredPlayer(victim)) {
+        getRoomScore(room, victim).deaths++;
+    }
+    if (attacker && attacker !== victim && isScoredPlayer(attacker)) {
+        getRoomScore(room, attacker).kills++;
+    }
+    // Streaks, multi-kills and first blood go out with the kill feed
+    const announcements = updateKillStreaks(room, victim, attacker, Date.now());
+    broadcastKillFeed(room, victim, attacker, announcements);
+    // Boosts end with the life that picked them up
+    victim.powerUpEffects = null;
+
+    addCareerStats(victim, { deaths: 1 });
+    if (attacker && attacker !== victim) {
+        addCareerStats(attacker, { kills: 1 });
+        addCareerWeaponStat(attacker, 'weaponKills', attacker.swordType || 'broadsword');
+        if (!ROOM_MODES[room.mode].unrated) {
+            updateRatings(attacker, victim, RATING_KILL_K);
+        }
+    }
+
+    const mode = ROOM_MODES[room.mode];
+    if (mode.onPlayerKilled) {
+        mode.onPlayerKilled(room, victim, attacker);
+    }
+
+    broadcastMatchScore(room);
+
+    // Score limit reached
+    const limitReached = mode.isScoreLimitReached ? mode.isScoreLimitReached(room) :
+        !!(mode.scoreLimit && attacker && getRoomScore(room, attacker).kills >= mode.scoreLimit);
+    if (!room.persistent && room.state === 'in_progress' && limitReached) {
+        endMatch(room, Date.now(), 'score_limit');
+    }
+}
+
+// Kill feed - every kill is sent to the room with the killer's weapon, along with
+// announcements for first blood, multi-kills, killing sprees and ended streaks
+const MULTI_KILL_WINDOW_MS = 4000;       // Kills this close together chain into a multi-kill
+const SHUTDOWN_MIN_STREAK = 3;           // Ending a streak this long counts as a shutdown
+const MULTI_KILL_TYPES = { 2: 'double_kill', 3: 'triple_kill' };   // Anything longer is a multi_kill
+const KILLING_SPREES = { 3: 'killing_spree', 5: 'rampage', 7: 'unstoppable', 10: 'godlike' };
+
+// Update both players' streaks for a kill and work out what it's worth announcing
+function updateKillStreaks(room, victim, attacker, now) {
+    const announcements = [];
+    const endedStreak = victim.killStreak || 0;
+    victim.killStreak = 0;
+    victim.lastKillAt = null;
+    if (!attacker || attacker === victim) return announcements;
+
+    // First blood only counts in real matches - the open arena never starts one
+    if (!room.persistent && room.state === 'in_progress' && !room.firstBloodTaken) {
+        room.firstBloodTaken = true;
+        announcements.push({ type: 'first_blood', playerId: attacker.id, playerName: attacker.name });
+    }
+
+    attacker.killStreak = (attacker.killStreak || 0) + 1;
+    attacker.multiKill = attacker.lastKillAt && now - attacker.lastKillAt <= MULTI_KILL_WINDOW_MS ?
+        attacker.multiKill + 1 : 1;
+    attacker.lastKillAt = now;
+
+    if (attacker.multiKill >= 2) {
+        announcements.push({
+            type: MULTI_KILL_TYPES[attacker.multiKill] || 'multi_kill',
+            playerId: attacker.id,
+            playerName: attacker.name,
+            count: attacker.multiKill
+        });
+    }
+    if (KILLING_SPREES[attacker.killStreak]) {
+        announcements.push({
+            type: KILLING_SPREES[attacker.killStreak],
+            playerId: attacker.id,
+            playerName: attacker.name,
+            count: attacker.killStreak
+        });
+    }
+    if (endedStreak >= SHUTDOWN_MIN_STREAK) {
+        announcements.push({
+            type: 'shutdown',
+            playerId: attacker.id,
+            playerName: attacker.name,
+            victimName: victim.name,
+            count: endedStreak
+        });
+    }
+    return announcements;
+}
+
+// Tell the room who killed who, and with what
+function broadcastKillFeed(room, victim, attacker, announcements) {
+    const killer = attacker && attacker !== victim ? attacker : null;
+    io.to(room.id).emit('killFeed', {
+        victimId: victim.id,
+        victimName: victim.name,
+        victimTeam: victim.team || null,
+        attackerId: killer ? killer.id : null,
+        attackerName: killer ? killer.name : null,
+        attackerTeam: killer ? killer.team || null : null,
+        // No killer means the zone (or a fall) got them
+        swordType: killer ? killer.swordType || 'broadsword' : null,
+        announcements
+    });
+    announcements.forEach(announcement => {
+        debugLog(`[KILLFEED] ${announcement.playerName}: ${announcement.type}${announcement.count ? ` (${announcement.count})` : ''} in '${room.name}'`);
+    });
+}
+
+// Advance a room through waiting -> countdown -> in_progress -> ended
+function updateRoomLifecycle(room, delta, now) {
+    const mode = ROOM_MODES[room.mode];
+
+    // A countdown the last person walked out of goes back to waiting, so anyone
+    // joining later doesn't find it still ticking for an empty room
+    if (room.state === 'countdown' && countHumanPlayers(room) === 0) {
+        setRoomState(room, 'waiting');
+    }
+
+    // Close rooms nobody has used for a while
+    if (!room.persistent && room.players.size === 0) {
+        if (now - room.emptySince > ROOM_EMPTY_TIMEOUT) {
+            saveReplay(room, now, 'abandoned');
+            delete games[room.id];
+            moveSpectatorsOut(room);
+            console.log(`[ROOM] Closed empty room '${room.name}' (${room.id})`);
+        }
+        return;
+    }
+
+    if (room.state === 'in_progress' && mode.onTick) {
+        mode.onTick(room, delta, now);
+    }
+
+    // The default arena never changes state - it's only recorded
+    if (room.persistent) {
+        updateArenaReplay(room, now);
+        return;
+    }
+
+    const playerCount = getRoomPlayers(room).length;
+    switch (room.state) {
+        case 'waiting':
+            if (playerCount >= mode.minPlayers) {
+                setRoomState(room, 'countdown', now + ROOM_COUNTDOWN_MS);
             }
-        } else {
-            // Player is active, remove from potential ghosts if present
-            if (potentialGhostPlayers[id]) {
-                delete potentialGhostPlayers[id];
+            break;
+        case 'countdown':
+            if (playerCount < mode.minPlayers) {
+                setRoomState(room, 'waiting');
+            } else if (now >= room.stateEndsAt) {
+                startMatch(room, now);
             }
-        }
+            break;
+        case 'in_progress':
+            if (playerCount < mode.minPlayers) {
+                endMatch(room, now, 'not_enough_players');
+            } else if (room.stateEndsAt && now >= room.stateEndsAt) {
+                endMatch(room, now, 'time_limit');
+            }
+            break;
+        case 'ended':
+            if (now >= room.stateEndsAt) {
+                if (mode.closeAfterMatch) {
+                    // One-off rooms empty out and get closed
+                    getRoomPlayers(room).forEach(player => {
+                        const socket = io.sockets.sockets.get(player.id);
+                        if (socket) movePlayerToRoom(socket, games[DEFAULT_ROOM_ID]);
+                    });
+                } else {
+                    setRoomState(room, 'waiting');
+                }
+            }
+            break;
     }
-    
-    // Only log summary if we removed players
-    if (removedCount > 0) {
-        console.log(`[GHOST CLEANUP] Removed ${removedCount} ghost players`);
-        console.log(`[GHOST CLEANUP] Cleanup complete. Remaining players: ${Object.keys(players).length}`);
+}
+
+// Where a player spawns in a room - the mode decides if it cares
+function getSpawnPosition(room, player) {
+    const mode = ROOM_MODES[room.mode];
+    return mode.getSpawnPosition ? mode.getSpawnPosition(room, player) : findSpawnPosition(room.map);
+}
+
+// Team helpers - used by every mode with `teams: true`
+const TEAM_IDS = Object.keys(GameDefinitions.TEAMS);
+
+// Fresh team score table
+function createTeamScores() {
+    const teamScores = {};
+    TEAM_IDS.forEach(team => teamScores[team] = 0);
+    return teamScores;
+}
+
+// Players per team in a room
+function countTeams(room) {
+    const counts = createTeamScores();
+    getRoomPlayers(room).forEach(player => {
+        if (player.team in counts) counts[player.team]++;
+    });
+    return counts;
+}
+
+// Put a player on the smallest team
+function assignTeam(room, player) {
+    player.team = null;
+    const counts = countTeams(room);
+    player.team = TEAM_IDS.reduce((smallest, team) => counts[team] < counts[smallest] ? team : smallest);
+    console.log(`[TEAM] ${player.name} joined the ${player.team} team in '${room.name}'`);
+}
+
+// Move players off the biggest team until team sizes differ by at most one
+function balanceTeams(room) {
+    const roomPlayers = getRoomPlayers(room);
+    roomPlayers.forEach(player => {
+        if (!(player.team in GameDefinitions.TEAMS)) assignTeam(room, player);
+    });
+
+    for (let moves = 0; moves < roomPlayers.length; moves++) {
+        const counts = countTeams(room);
+        const largest = TEAM_IDS.reduce((a, b) => counts[b] > counts[a] ? b : a);
+        const smallest = TEAM_IDS.reduce((a, b) => counts[b] < counts[a] ? b : a);
+        if (counts[largest] - counts[smallest] <= 1) break;
+
+        // Move the most recent arrival
+        const mover = roomPlayers.filter(player => player.team === largest).pop();
+        mover.team = smallest;
+        console.log(`[TEAM] Balanced ${mover.name} onto the ${smallest} team in '${room.name}'`);
+    }
+}
+
+// Whether any team has reached the mode's score limit
+function isTeamScoreLimitReached(room) {
+    const scoreLimit = ROOM_MODES[room.mode].scoreLimit;
+    return !!scoreLimit && TEAM_IDS.some(team => room.teamScores[team] >= scoreLimit);
+}
+
+// The team with the highest score, or null on a draw
+function getWinningTeam(room) {
+    const ranked = TEAM_IDS.slice().sort((a, b) => room.teamScores[b] - room.teamScores[a]);
+    if (room.teamScores[ranked[0]] === room.teamScores[ranked[1]]) return null;
+    return {
+        team: ranked[0],
+        name: `${GameDefinitions.TEAMS[ranked[0]].name} team`,
+        score: Math.floor(room.teamScores[ranked[0]])
+    };
+}
+
+// Each team spawns on its own side of the map - red west, blue east
+function getTeamSpawnArea(map, team) {
+    const half = map.size / 2;
+    const side = team === 'blue' ? 1 : -1;
+    const nearX = side * half / 2;
+    const farX = side * (half - 10);
+    return {
+        minX: Math.min(nearX, farX),
+        maxX: Math.max(nearX, farX),
+        minZ: -half / 2,
+        maxZ: half / 2
+    };
+}
+
+// Capture the Flag - the server owns both flags
+const FLAG_PICKUP_RADIUS = 2.5;        // How close a player has to be to grab or return a flag
+const FLAG_CAPTURE_RADIUS = 4;         // How close to your own base to score
+const FLAG_RETURN_MS = 20000;          // Dropped flags go home on their own after this
+const FLAG_BASE_CLEAR_RADIUS = 12;     // Terrain is cleared around each base
+
+// Base positions - one at each end of the map
+function getFlagBasePosition(map, team) {
+    const side = team === 'blue' ? 1 : -1;
+    return { x: side * (map.size / 2 - 20), y: 0, z: 0 };
+}
+
+// Create the flags and clear the terrain around the bases
+function setupFlags(room) {
+    room.flags = {};
+    TEAM_IDS.forEach(team => {
+        const base = getFlagBasePosition(room.map, team);
+        room.flags[team] = { team, base, state: 'home', position: { ...base }, carrierId: null, droppedAt: null };
+
+        const clear = (feature) => {
+            const dx = feature.position.x - base.x;
+            const dz = feature.position.z - base.z;
+            return Math.sqrt(dx * dx + dz * dz) > FLAG_BASE_CLEAR_RADIUS + (feature.radius || 0);
+        };
+        room.map.terrain.hills = room.map.terrain.hills.filter(clear);
+        room.map.terrain.rocks = room.map.terrain.rocks.filter(clear);
+    });
+}
+
+// Put both flags back at their bases
+function resetFlags(room) {
+    TEAM_IDS.forEach(team => returnFlag(room, room.flags[team]));
+}
+
+// Spawn around your own base
+function getFlagBaseSpawnArea(room, team) {
+    const base = getFlagBasePosition(room.map, team || 'red');
+    return { minX: base.x - 10, maxX: base.x + 10, minZ: base.z - 15, maxZ: base.z + 15 };
+}
+
+// Public flag state for clients
+function buildFlagState(room) {
+    const flags = {};
+    TEAM_IDS.forEach(team => {
+        const flag = room.flags[team];
+        flags[team] = {
+            team: flag.team,
+            base: flag.base,
+            state: flag.state,
+            position: flag.position,
+            carrierId: flag.carrierId,
+            carrierName: flag.carrierId && players[flag.carrierId] ? players[flag.carrierId].name : null,
+            returnsAt: flag.state === 'dropped' ? flag.droppedAt + FLAG_RETURN_MS : null
+        };
+    });
+    return flags;
+}
+
+// Tell the room about a flag change
+function broadcastFlagUpdate(room, type, flag, player = null) {
+    io.to(room.id).emit('flagUpdate', {
+        roomId: room.id,
+        flags: buildFlagState(room),
+        event: {
+            type: type,
+            team: flag.team,
+            playerId: player ? player.id : null,
+            playerName: player ? player.name : null
+        }
+    });
+    console.log(`[CTF] ${flag.team} flag ${type}${player ? ` by ${player.name}` : ''} in '${room.name}'`);
+}
+
+// Send a flag back to its base
+function returnFlag(room, flag) {
+    if (flag.carrierId && players[flag.carrierId]) {
+        players[flag.carrierId].carryingFlag = null;
+    }
+    flag.state = 'home';
+    flag.position = { ...flag.base };
+    flag.carrierId = null;
+    flag.droppedAt = null;
+}
+
+// Drop whatever flag a player is carrying where they stand
+function dropFlag(room, player, reason) {
+    if (!room.flags || !player.carryingFlag) return;
+    const flag = room.flags[player.carryingFlag];
+    player.carryingFlag = null;
+    if (!flag || flag.carrierId !== player.id) return;
+
+    flag.state = 'dropped';
+    flag.position = { x: player.position.x, y: 0, z: player.position.z };
+    flag.carrierId = null;
+    flag.droppedAt = Date.now();
+    broadcastFlagUpdate(room, 'drop', flag, player);
+    console.log(`[CTF] Flag dropped because ${player.name} ${reason}`);
+}
+
+// Pickups, returns, captures and auto-returns - runs every tick while a match is live
+function updateFlags(room, now) {
+    const roomPlayers = getRoomPlayers(room).filter(player => player.health > 0);
+
+    TEAM_IDS.forEach(team => {
+        const flag = room.flags[team];
+
+        // Carried flags follow their carrier
+        if (flag.state === 'carried') {
+            const carrier = players[flag.carrierId];
+            if (!carrier || carrier.roomId !== room.id) {
+                returnFlag(room, flag);
+                broadcastFlagUpdate(room, 'return', flag);
+                return;
+            }
+            flag.position = { x: carrier.position.x, y: 0, z: carrier.position.z };
+            return;
+        }
+
+        // Dropped flags go home after a while
+        if (flag.state === 'dropped' && now - flag.droppedAt > FLAG_RETURN_MS) {
+            returnFlag(room, flag);
+            broadcastFlagUpdate(room, 'return', flag);
+            return;
+        }
+
+        for (const player of roomPlayers) {
+            const dx = player.position.x - flag.position.x;
+            const dz = player.position.z - flag.position.z;
+            if (Math.sqrt(dx * dx + dz * dz) > FLAG_PICKUP_RADIUS) continue;
+
+            if (player.team === team) {
+                // Touching your own dropped flag sends it home
+                if (flag.state === 'dropped') {
+                    returnFlag(room, flag);
+                    broadcastFlagUpdate(room, 'return', flag, player);
+                    break;
+                }
+            } else if (!player.carryingFlag) {
+                // Enemy flag - grab it
+                flag.state = 'carried';
+                flag.carrierId = player.id;
+                flag.droppedAt = null;
+                player.carryingFlag = team;
+                broadcastFlagUpdate(room, 'pickup', flag, player);
+                break;
+            }
+        }
+    });
+
+    // Carriers score by reaching their own base while their flag is home
+    roomPlayers.forEach(player => {
+        if (!player.carryingFlag || !room.flags[player.team]) return;
+        const ownFlag = room.flags[player.team];
+        if (ownFlag.state !== 'home') return;
+
+        const dx = player.position.x - ownFlag.base.x;
+        const dz = player.position.z - ownFlag.base.z;
+        if (Math.sqrt(dx * dx + dz * dz) > FLAG_CAPTURE_RADIUS) return;
+
+        const capturedFlag = room.flags[player.carryingFlag];
+        returnFlag(room, capturedFlag);
+        room.teamScores[player.team]++;
+        broadcastFlagUpdate(room, 'capture', capturedFlag, player);
+        broadcastMatchScore(room);
+
+        if (isTeamScoreLimitReached(room)) {
+            endMatch(room, now, 'score_limit');
+        }
+    });
+}
+
+// King of the Hill - one of the map's hills at a time is the scoring zone
+const HILL_ZONE_PADDING = 5;           // Zone reaches this far past the hill's own radius
+const HILL_ROTATE_MS = 60000;          // The active hill moves on this often
+const HILL_UPDATE_INTERVAL = 1000;     // How often hill progress is sent to clients
+const HILL_MAX_DISTANCE = 110;         // Only hills this close to the center can be picked
+
+// Move the zone to a different hill
+function activateNextHill(room, now) {
+    const candidates = room.map.terrain.hills.filter(hill =>
+        Math.abs(hill.position.x) < HILL_MAX_DISTANCE && Math.abs(hill.position.z) < HILL_MAX_DISTANCE &&
+        (!room.hill || hill !== room.hill.source));
+    const source = candidates.length > 0 ?
+        candidates[Math.floor(Math.random() * candidates.length)] :
+        { position: { x: 0, y: 0, z: 0 }, radius: 0 };
+
+    room.hill = {
+        source: source,
+        position: { x: source.position.x, y: 0, z: source.position.z },
+        radius: source.radius + HILL_ZONE_PADDING,
+        rotatesAt: now + HILL_ROTATE_MS,
+        holder: null,        // Player id (or team in team modes) scoring right now
+        contested: false,
+        lastUpdateAt: 0
+    };
+    broadcastHillUpdate(room, 'moved');
+}
+
+// Clear everyone's points
+function resetHillPoints(room) {
+    Object.values(room.scores).forEach(score => score.points = 0);
+}
+
+// Public hill state for clients
+function buildHillState(room) {
+    const hill = room.hill;
+    let holderName = null;
+    if (hill.holder) {
+        holderName = ROOM_MODES[room.mode].teams ?
+            `${GameDefinitions.TEAMS[hill.holder].name} team` :
+            (players[hill.holder] ? players[hill.holder].name : null);
+    }
+    return {
+        position: hill.position,
+        radius: hill.radius,
+        rotatesAt: hill.rotatesAt,
+        holder: hill.holder,
+        holderName: holderName,
+        contested: hill.contested
+    };
+}
+
+// Tell the room about the hill (and the points it has handed out)
+function broadcastHillUpdate(room, reason) {
+    io.to(room.id).emit('hillUpdate', {
+        roomId: room.id,
+        reason: reason,
+        hill: buildHillState(room)
+    });
+}
+
+// Award points to whoever holds the zone alone - several occupants freeze it
+function updateHill(room, delta, now) {
+    const hill = room.hill;
+    if (now >= hill.rotatesAt) {
+        activateNextHill(room, now);
+        return;
+    }
+
+    const teams = !!ROOM_MODES[room.mode].teams;
+    const occupants = getRoomPlayers(room).filter(player => {
+        if (player.health <= 0) return false;
+        const dx = player.position.x - hill.position.x;
+        const dz = player.position.z - hill.position.z;
+        return Math.sqrt(dx * dx + dz * dz) <= hill.radius;
+    });
+
+    // Who's on the hill - a single player, or a single team in team modes
+    const sides = new Set(occupants.map(player => teams ? player.team : player.id));
+    const holder = sides.size === 1 ? [...sides][0] : null;
+    const contested = sides.size > 1;
+    const changed = holder !== hill.holder || contested !== hill.contested;
+    hill.holder = holder;
+    hill.contested = contested;
+
+    if (holder) {
+        if (teams) {
+            room.teamScores[holder] += delta;
+            occupants.forEach(player => getRoomScore(room, player).points += delta / occupants.length);
+        } else {
+            getRoomScore(room, occupants[0]).points += delta;
+        }
+    }
+
+    if (changed || now - hill.lastUpdateAt >= HILL_UPDATE_INTERVAL) {
+        hill.lastUpdateAt = now;
+        broadcastHillUpdate(room, changed ? 'holder' : 'tick');
+        broadcastMatchScore(room);
+    }
+
+    if (isHillScoreLimitReached(room)) {
+        endMatch(room, now, 'score_limit');
+    }
+}
+
+// Whether a player (or team) has enough points to win
+function isHillScoreLimitReached(room) {
+    const scoreLimit = ROOM_MODES[room.mode].scoreLimit;
+    if (!scoreLimit) return false;
+    if (ROOM_MODES[room.mode].teams) {
+        return isTeamScoreLimitReached(room);
+    }
+    return Object.values(room.scores).some(score => score.points >= scoreLimit);
+}
+
+// Most points wins in free-for-all hill modes (results are already sorted by points)
+function getHillWinner(room, results) {
+    if (results.length === 0 || results[0].points <= 0) return null;
+    return { ...results[0], score: results[0].points };
+}
+
+// Battle royale - a circular safe zone that shrinks in phases
+const ZONE_PHASES = [
+    { waitMs: 30000, shrinkMs: 30000, radius: 100, damage: 2 },
+    { waitMs: 25000, shrinkMs: 25000, radius: 55, damage: 4 },
+    { waitMs: 20000, shrinkMs: 20000, radius: 25, damage: 7 },
+    { waitMs: 15000, shrinkMs: 15000, radius: 5, damage: 10 }
+];
+const ZONE_INITIAL_DAMAGE = 1;         // Damage per interval outside the first zone
+const ZONE_DAMAGE_INTERVAL = 1000;     // ms between out-of-zone damage ticks
+
+// Start the zone over - covering the whole map and heading for the first phase
+function resetZone(room, now) {
+    room.zone = {
+        phase: 0,
+        center: { x: 0, z: 0 },
+        radius: room.map.size / 2 * Math.SQRT2,
+        mapRadius: room.map.size / 2,   // Later circles stay inside the walls
+        damage: ZONE_INITIAL_DAMAGE,
+        lastDamageAt: now
+    };
+    planZonePhase(room.zone, now);
+    broadcastZoneUpdate(room);
+}
+
+// Pick where the current phase shrinks to - the next circle always fits inside the current one
+function planZonePhase(zone, now) {
+    const phase = ZONE_PHASES[zone.phase];
+    if (!phase) {
+        // Final circle - it stays put
+        zone.targetCenter = { ...zone.center };
+        zone.targetRadius = zone.radius;
+        zone.shrinkStartsAt = null;
+        zone.shrinkEndsAt = null;
+        return;
+    }
+
+    const targetRadius = Math.min(phase.radius, zone.radius);
+    const maxOffset = Math.max(0, Math.min(zone.radius, zone.mapRadius) - targetRadius);
+    const angle = Math.random() * Math.PI * 2;
+    const offset = Math.random() * maxOffset;
+    zone.targetCenter = {
+        x: zone.center.x + Math.cos(angle) * offset,
+        z: zone.center.z + Math.sin(angle) * offset
+    };
+    zone.targetRadius = targetRadius;
+    zone.shrinkStartsAt = now + phase.waitMs;
+    zone.shrinkEndsAt = zone.shrinkStartsAt + phase.shrinkMs;
+}
+
+// The zone's circle at a given time
+function getZoneCircle(zone, now) {
+    if (!zone.shrinkStartsAt || now < zone.shrinkStartsAt) {
+        return { center: zone.center, radius: zone.radius };
+    }
+    const t = Math.min(1, (now - zone.shrinkStartsAt) / (zone.shrinkEndsAt - zone.shrinkStartsAt));
+    return {
+        center: {
+            x: zone.center.x + (zone.targetCenter.x - zone.center.x) * t,
+            z: zone.center.z + (zone.targetCenter.z - zone.center.z) * t
+        },
+        radius: zone.radius + (zone.targetRadius - zone.radius) * t
+    };
+}
+
+// Public zone state - clients animate the shrink from these timestamps
+function buildZoneState(room) {
+    const zone = room.zone;
+    return {
+        phase: zone.phase,
+        center: zone.center,
+        radius: zone.radius,
+        targetCenter: zone.targetCenter,
+        targetRadius: zone.targetRadius,
+        shrinkStartsAt: zone.shrinkStartsAt,
+        shrinkEndsAt: zone.shrinkEndsAt,
+        damage: zone.damage
+    };
+}
+
+// Tell the room about a new zone phase
+function broadcastZoneUpdate(room) {
+    io.to(room.id).emit('zoneUpdate', {
+        roomId: room.id,
+        zone: buildZoneState(room)
+    });
+}
+
+// Hurt a player for standing outside the zone - the zone can kill
+function applyZoneDamage(room, player, amount) {
+    addCareerStats(player, { damageTaken: Math.min(amount, player.health) });
+    player.health = Math.max(0, player.health - amount);
+    io.to(player.id).emit('playerDamaged', {
+        id: player.id,
+        attackerId: null,
+        amount: amount,
+        swordType: null,
+        health: player.health,
+        reason: 'zone'
+    });
+    recordReplayEvent(room, 'damage', { id: player.id, attackerId: null, amount, health: player.health, reason: 'zone' });
+
+    if (player.health <= 0) {
+        debugLog(`[ZONE] ${player.name} was killed by the zone in '${room.name}'`);
+        player.isDead = true;
+        player.lastAttackerId = null;
+        io.to(room.id).emit('playerDefeated', {
+            id: player.id,
+            attackerId: null,
+            reason: 'zone'
+        });
+        recordReplayEvent(room, 'defeat', { id: player.id, attackerId: null, reason: 'zone' });
+        recordKill(room, player, null);
+    }
+}
+
+// Advance zone phases, damage players outside it and end the round with one survivor
+function updateZone(room, now) {
+    const zone = room.zone;
+
+    // Shrink finished - lock it in and plan the next phase
+    if (zone.shrinkEndsAt && now >= zone.shrinkEndsAt) {
+        zone.center = zone.targetCenter;
+        zone.radius = zone.targetRadius;
+        zone.damage = ZONE_PHASES[zone.phase].damage;
+        zone.phase++;
+        planZonePhase(zone, now);
+        broadcastZoneUpdate(room);
+    }
+
+    const alive = getRoomPlayers(room).filter(player => player.health > 0);
+
+    if (now - zone.lastDamageAt >= ZONE_DAMAGE_INTERVAL) {
+        zone.lastDamageAt = now;
+        const circle = getZoneCircle(zone, now);
+        alive.forEach(player => {
+            const dx = player.position.x - circle.center.x;
+            const dz = player.position.z - circle.center.z;
+            if (Math.sqrt(dx * dx + dz * dz) > circle.radius) {
+                applyZoneDamage(room, player, zone.damage);
+            }
+        });
+    }
+
+    // Last one standing
+    const survivors = getRoomPlayers(room).filter(player => player.health > 0);
+    if (survivors.length <= 1 && room.state === 'in_progress') {
+        const survivor = survivors[0];
+        room.lastSurvivor = survivor ?
+            { id: survivor.id, name: survivor.name, kills: getRoomScore(room, survivor).kills } : null;
+        endMatch(room, now, 'last_standing');
+    }
+}
+
+// Duels - one-on-one rooms reached by challenging another player by name
+const DUEL_BEST_OF = [3, 5];
+const DUEL_CHALLENGE_TIMEOUT = 30000;  // Unanswered challenges expire after this long
+const DUEL_ROUND_DELAY = 3000;         // Pause between a round's kill and the next round
+const duelChallenges = {};             // challengeId -> { id, fromId, toId, bestOf, expiresAt }
+let duelCounter = 0;
+
+// Rounds a duelist has to win to take the match
+function getDuelWinsNeeded(room) {
+    return Math.ceil(room.duel.bestOf / 2);
+}
+
+// Whether a player is already duelling or has a challenge waiting on either side
+function isBusyWithDuel(playerId) {
+    const room = getPlayerRoom(players[playerId]);
+    if (room && room.duel) return true;
+    return Object.values(duelChallenges).some(challenge =>
+        challenge.fromId === playerId || challenge.toId === playerId);
+}
+
+// Find a registered player by name (case-insensitive)
+function findPlayerByName(name) {
+    const wanted = name.trim().toLowerCase();
+    return Object.values(players).find(player =>
+        player.fullyRegistered && typeof player.name === 'string' && player.name.toLowerCase() === wanted) || null;
+}
+
+// Each duelist starts on their own side of the middle
+function getDuelSpawnArea(room, player) {
+    const side = room.duel.players.indexOf(player.id) === 0 ? -1 : 1;
+    return {
+        minX: Math.min(side * 10, side * 14),
+        maxX: Math.max(side * 10, side * 14),
+        minZ: -2,
+        maxZ: 2
+    };
+}
+
+// Public duel state - who is fighting, round number and round wins
+function buildDuelState(room) {
+    const duel = room.duel;
+    return {
+        players: duel.players.map(id => ({ id, name: duel.names[id] })),
+        bestOf: duel.bestOf,
+        round: duel.round,
+        wins: duel.wins,
+        nextRoundAt: duel.nextRoundAt
+    };
+}
+
+// Tell both duelists where the match stands
+function broadcastDuelRound(room, event) {
+    io.to(room.id).emit('duelRound', {
+        roomId: room.id,
+        event: event,
+        duel: buildDuelState(room)
+    });
+}
+
+// Post a server message to the open arena's chat and any extra rooms or players
+function announceInChat(message, targets = []) {
+    const messageData = {
+        sender: 'Server',
+        senderId: null,
+        message: message,
+        timestamp: Date.now()
+    };
+    // Socket.io sends once per socket even if it matches several targets
+    io.to([DEFAULT_ROOM_ID, ...targets]).emit('chatMessage', messageData);
+}
+
+// Set up a fresh duel for an accepted challenge and move both players in
+function startDuelFromChallenge(challenge) {
+    const challenger = players[challenge.fromId];
+    const target = players[challenge.toId];
+    const room = createRoom({
+        name: `Duel: ${challenger.name} vs ${target.name}`,
+        mode: 'duel',
+        maxPlayers: 2,
+        createdBy: challenger.id
+    });
+    room.duel = {
+        players: [challenger.id, target.id],
+        names: { [challenger.id]: challenger.name, [target.id]: target.name },
+        bestOf: challenge.bestOf,
+        round: 0,
+        wins: { [challenger.id]: 0, [target.id]: 0 },
+        nextRoundAt: null,
+        forfeitedBy: null
+    };
+
+    console.log(`[DUEL] ${challenger.name} vs ${target.name}, best of ${challenge.bestOf} in ${room.id}`);
+    [challenger.id, target.id].forEach(id => {
+        const socket = io.sockets.sockets.get(id);
+        if (socket) movePlayerToRoom(socket, room);
+    });
+}
+
+// First round - the match start has already put both players on their spawns
+function startDuel(room, now) {
+    const duel = room.duel;
+    duel.round = 1;
+    duel.nextRoundAt = null;
+    duel.forfeitedBy = null;
+    duel.players.forEach(id => { duel.wins[id] = 0; });
+    broadcastDuelRound(room, 'round_start');
+}
+
+// A duelist died - the other one takes the round
+function finishDuelRound(room, victim) {
+    const duel = room.duel;
+    if (room.state !== 'in_progress' || duel.nextRoundAt) return;
+
+    const winnerId = duel.players.find(id => id !== victim.id);
+    duel.wins[winnerId]++;
+    if (players[winnerId]) {
+        getRoomScore(room, players[winnerId]).points = duel.wins[winnerId];
+    }
+
+    // The score limit check right after this ends the match on the deciding round
+    if (duel.wins[winnerId] < getDuelWinsNeeded(room)) {
+        duel.nextRoundAt = Date.now() + DUEL_ROUND_DELAY;
+    }
+    broadcastDuelRound(room, 'round_end');
+}
+
+// Start the next round once the pause is over - same reset as a respawn
+function updateDuel(room, now) {
+    const duel = room.duel;
+    if (!duel.nextRoundAt || now < duel.nextRoundAt) return;
+
+    duel.nextRoundAt = null;
+    duel.round++;
+    respawnRoomPlayers(room, now);
+    broadcastDuelRound(room, 'round_start');
+}
+
+// Leaving a duel before it's over hands the win to the opponent
+function forfeitDuel(room, player) {
+    if (room.state === 'ended' || !room.duel.players.includes(player.id)) return;
+    room.duel.forfeitedBy = player.id;
+    endMatch(room, Date.now(), 'forfeit');
+}
+
+// Whoever won more rounds, or whoever stayed when the other left
+function getDuelWinner(room) {
+    const duel = room.duel;
+    const [first, second] = duel.players;
+    let winnerId = null;
+    if (duel.forfeitedBy) {
+        winnerId = duel.players.find(id => id !== duel.forfeitedBy);
+    } else if (duel.wins[first] !== duel.wins[second]) {
+        winnerId = duel.wins[first] > duel.wins[second] ? first : second;
+    }
+    return winnerId ? { id: winnerId, name: duel.names[winnerId], score: duel.wins[winnerId] } : null;
+}
+
+// Let the open arena know how the duel went
+function announceDuelResult(room) {
+    const duel = room.duel;
+    const winner = getDuelWinner(room);
+    const [first, second] = duel.players;
+    let message;
+    if (!winner) {
+        message = `${duel.names[first]} and ${duel.names[second]} drew their duel ${duel.wins[first]}-${duel.wins[second]}`;
+    } else {
+        const loserId = duel.players.find(id => id !== winner.id);
+        message = duel.forfeitedBy ?
+            `${winner.name} won the duel against ${duel.names[loserId]} by forfeit` :
+            `${winner.name} beat ${duel.names[loserId]} ${duel.wins[winner.id]}-${duel.wins[loserId]} in a best of ${duel.bestOf} duel`;
+    }
+    console.log(`[DUEL] ${message}`);
+    announceInChat(message, [room.id, ...duel.players]);
+}
+
+// Drop challenges that timed out or whose players went away
+function expireDuelChallenges(now) {
+    for (const challengeId in duelChallenges) {
+        const challenge = duelChallenges[challengeId];
+        const gone = !players[challenge.fromId] || !players[challenge.toId];
+        if (!gone && now < challenge.expiresAt) continue;
+
+        delete duelChallenges[challengeId];
+        io.to(challenge.fromId).emit('duelDeclined', {
+            challengeId: challengeId,
+            targetName: players[challenge.toId]?.name || null,
+            reason: gone ? 'player_left' : 'expired'
+        });
+        io.to(challenge.toId).emit('duelChallengeCancelled', { challengeId: challengeId });
+    }
+}
+
+// Wave survival - co-op waves of bots from the map edges; downed players wait for a revive
+const WAVE_FIRST_DELAY = 10000;        // ms from the match start to the first wave
+const WAVE_BREAK_MS = 10000;           // Breather between a cleared wave and the next
+const WAVE_SPAWN_INTERVAL = 1000;      // Enemies join one at a time, this far apart
+const WAVE_CORPSE_MS = 2000;           // How long a fallen enemy lies there before it's removed
+const WAVE_BASE_ENEMIES = 3;           // Enemies in the first wave for one player
+const WAVE_ENEMIES_PER_WAVE = 2;       // ...plus this many more each wave
+const WAVE_ENEMIES_PER_EXTRA_PLAYER = 0.5; // Wave size grows by this fraction for each extra player
+const WAVE_MAX_ALIVE = 12;             // Enemies on the field at once - the rest wait their turn
+const REVIVE_RADIUS = 2.5;             // How close a teammate has to stand to revive someone
+const REVIVE_MS = 3000;                // How long they have to stay there
+const REVIVE_HEALTH = 0.5;             // Fraction of max health a revived player gets back
+const SURVIVAL_UPDATE_INTERVAL = 500;  // How often revive progress is sent to clients
+// Enemy types - fromWave is the first wave they appear in, share the most of a wave they can make up
+// (it grows by 0.1 a wave until it gets there) and statScale scales their health, speed, damage and armor
+// (armor multiplies damage taken). Raiders fill whatever is left with random characters and swords
+const WAVE_ENEMY_TYPES = {
+    raider: { name: 'Raider', fromWave: 1, share: 0, statScale: null },
+    armored_knight: {
+        name: 'Armored Knight', characterType: 'knight', swordType: 'greatsword', fromWave: 3, share: 0.35,
+        statScale: { health: 1.75, speed: 0.85, damage: 1.25, armor: 0.6 }
+    },
+    fast_ninja: {
+        name: 'Fast Ninja', characterType: 'ninja', swordType: 'ninjato', fromWave: 5, share: 0.3,
+        statScale: { health: 0.8, speed: 1.35, damage: 1, armor: 1 }
+    }
+};
+
+// Start the survival state over - nextWaveAt is null until a match starts
+function resetSurvival(room, nextWaveAt) {
+    room.survival = {
+        wave: 0,
+        phase: 'break',
+        nextWaveAt: nextWaveAt,
+        wavesSurvived: 0,
+        roster: [],            // Enemy types still to spawn this wave
+        spawned: 0,
+        nextSpawnAt: 0,
+        revives: {},           // Downed player id -> ms of revive progress
+        lastUpdateAt: 0
+    };
+}
+
+// The enemy types making up a wave, shuffled so the tough ones don't all arrive together
+function buildWaveRoster(wave, size) {
+    const roster = [];
+    for (const type in WAVE_ENEMY_TYPES) {
+        const enemyType = WAVE_ENEMY_TYPES[type];
+        if (!enemyType.share || wave < enemyType.fromWave) continue;
+        const share = Math.min(enemyType.share, 0.1 * (wave - enemyType.fromWave + 1));
+        for (let i = 0; i < Math.round(size * share); i++) roster.push(type);
+    }
+    while (roster.length < size) roster.push('raider');
+
+    for (let i = roster.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [roster[i], roster[j]] = [roster[j], roster[i]];
+    }
+    return roster;
+}
+
+// Put one enemy of a type into the room as a bot
+function spawnWaveEnemy(room, type) {
+    const enemyType = WAVE_ENEMY_TYPES[type];
+    const count = ++room.survival.spawned;
+    return createBot(room, room.botDifficulty, {
+        name: `${enemyType.name} ${count}`,
+        characterType: enemyType.characterType,
+        swordType: enemyType.swordType,
+        isWaveEnemy: true,
+        enemyType: type,
+        statScale: enemyType.statScale
+    });
+}
+
+// Take every wave enemy out of the room
+function clearWaveEnemies(room) {
+    getRoomPlayers(room).filter(player => player.isWaveEnemy).forEach(removeBot);
+}
+
+// The enemies in a room that are still standing
+function getLiveWaveEnemies(room) {
+    return getRoomPlayers(room).filter(player => player.isWaveEnemy && player.health > 0);
+}
+
+// Roll the next wave - bigger each time, and bigger again with more players
+function startWave(room, now) {
+    const survival = room.survival;
+    const humans = countHumanPlayers(room);
+    const baseSize = WAVE_BASE_ENEMIES + WAVE_ENEMIES_PER_WAVE * survival.wave;
+    const size = Math.round(baseSize * (1 + WAVE_ENEMIES_PER_EXTRA_PLAYER * Math.max(0, humans - 1)));
+
+    survival.wave++;
+    survival.phase = 'wave';
+    survival.nextWaveAt = null;
+    survival.roster = buildWaveRoster(survival.wave, size);
+    survival.spawned = 0;
+    survival.nextSpawnAt = now;
+    broadcastSurvivalUpdate(room, 'wave_start');
+    console.log(`[SURVIVAL] Wave ${survival.wave} (${size} enemies) started in '${room.name}'`);
+}
+
+// Everything in the wave is down - bring the downed back and take a breather
+function finishWave(room, now) {
+    const survival = room.survival;
+    survival.wavesSurvived = survival.wave;
+    survival.phase = 'break';
+    survival.nextWaveAt = now + WAVE_BREAK_MS;
+    survival.revives = {};
+
+    getRoomPlayers(room).forEach(player => {
+        if (!player.isBot && player.health <= 0) respawnPlayerAtSpawn(room, player, now);
+    });
+
+    broadcastSurvivalUpdate(room, 'wave_cleared');
+    console.log(`[SURVIVAL] Wave ${survival.wave} cleared in '${room.name}'`);
+}
+
+// A player went down or an enemy fell
+function onSurvivalKill(room, victim) {
+    if (room.state !== 'in_progress') return;
+    if (victim.isWaveEnemy) {
+        broadcastSurvivalUpdate(room, 'enemy_defeated');
+        return;
+    }
+    room.survival.revives[victim.id] = 0;
+    broadcastSurvivalUpdate(room, 'downed', victim);
+}
+
+// Spawn the wave, clear away the fallen, run revives and end the match once everyone is down
+function updateSurvival(room, delta, now) {
+    const survival = room.survival;
+    const humans = getRoomPlayers(room).filter(player => !player.isBot);
+    if (humans.length === 0) {
+        endMatch(room, now, 'not_enough_players');
+        return;
+    }
+
+    getRoomPlayers(room).forEach(player => {
+        if (player.isWaveEnemy && player.health <= 0 && player.ai.diedAt && now - player.ai.diedAt >= WAVE_CORPSE_MS) {
+            removeBot(player);
+        }
+    });
+
+    if (survival.phase === 'break') {
+        if (now >= survival.nextWaveAt) startWave(room, now);
+    } else if (survival.roster.length > 0) {
+        if (now >= survival.nextSpawnAt && getLiveWaveEnemies(room).length < WAVE_MAX_ALIVE) {
+            spawnWaveEnemy(room, survival.roster.shift());
+            survival.nextSpawnAt = now + WAVE_SPAWN_INTERVAL;
+        }
+    } else if (getLiveWaveEnemies(room).length === 0) {
+        finishWave(room, now);
+    }
+
+    updateRevives(room, humans, delta, now);
+
+    if (humans.every(player => player.health <= 0)) {
+        endMatch(room, now, 'all_downed');
+    }
+}
+
+// Downed players are revived by a teammate standing next to them long enough
+function updateRevives(room, humans, delta, now) {
+    const survival = room.survival;
+    const standing = humans.filter(player => player.health > 0);
+    let changed = false;
+
+    humans.forEach(player => {
+        if (player.health > 0) {
+            delete survival.revives[player.id];
+            return;
+        }
+
+        const helper = standing.find(mate => Math.hypot(mate.position.x - player.position.x,
+            mate.position.z - player.position.z) <= REVIVE_RADIUS);
+        if (!helper) {
+            // Walking away loses the progress
+            if (survival.revives[player.id]) {
+                survival.revives[player.id] = 0;
+                changed = true;
+            }
+            return;
+        }
+
+        survival.revives[player.id] = (survival.revives[player.id] || 0) + delta * 1000;
+        changed = true;
+        if (survival.revives[player.id] >= REVIVE_MS) {
+            revivePlayer(room, player, helper, now);
+        }
+    });
+
+    if (changed && now - survival.lastUpdateAt >= SURVIVAL_UPDATE_INTERVAL) {
+        broadcastSurvivalUpdate(room, 'revive_progress');
+    }
+}
+
+// Stand a downed player back up where they fell, on part of their health
+function revivePlayer(room, player, helper, now) {
+    delete room.survival.revives[player.id];
+    resetPlayerForSpawn(player, { ...player.position }, now);
+    player.health = Math.round(player.health * REVIVE_HEALTH);
+    io.to(room.id).emit('playerRespawned', {
+        id: player.id,
+        position: player.position
+    });
+    broadcastSurvivalUpdate(room, 'revived', player, helper);
+    console.log(`[SURVIVAL] ${helper.name} revived ${player.name} in '${room.name}'`);
+}
+
+// Players start near the middle of the map
+function getSurvivorSpawnArea(map) {
+    const range = Math.min(20, map.size / 2 - 10);
+    return { minX: -range, maxX: range, minZ: -range, maxZ: range };
+}
+
+// Enemies come in along a random edge, just inside the walls
+function getWaveSpawnArea(map) {
+    const outer = map.size / 2 - 5;
+    const inner = map.size / 2 - 15;
+    const side = Math.floor(Math.random() * 4);
+    const strip = side < 2 ? { minZ: -outer, maxZ: outer } : { minX: -outer, maxX: outer };
+    if (side === 0) return { ...strip, minX: inner, maxX: outer };
+    if (side === 1) return { ...strip, minX: -outer, maxX: -inner };
+    if (side === 2) return { ...strip, minZ: inner, maxZ: outer };
+    return { ...strip, minZ: -outer, maxZ: -inner };
+}
+
+// Public survival state - revive progress is sent as a 0-1 fraction
+function buildSurvivalState(room) {
+    const survival = room.survival;
+    return {
+        wave: survival.wave,
+        phase: survival.phase,
+        nextWaveAt: survival.nextWaveAt,
+        wavesSurvived: survival.wavesSurvived,
+        enemiesLeft: survival.roster.length + getLiveWaveEnemies(room).length,
+        downed: getRoomPlayers(room)
+            .filter(player => !player.isBot && player.health <= 0)
+            .map(player => ({
+                id: player.id,
+                name: player.name,
+                reviveProgress: Math.min(1, (survival.revives[player.id] || 0) / REVIVE_MS)
+            }))
+    };
+}
+
+// Tell the room what changed - player is who it happened to, by who revived them
+function broadcastSurvivalUpdate(room, event, player = null, by = null) {
+    room.survival.lastUpdateAt = Date.now();
+    io.to(room.id).emit('waveUpdate', {
+        roomId: room.id,
+        event: event,
+        playerId: player ? player.id : null,
+        playerName: player ? player.name : null,
+        byName: by ? by.name : null,
+        survival: buildSurvivalState(room)
+    });
+}
+
+// Bots - server-controlled entries in `players` that drive the simulation with input commands
+const BOT_FILL_TARGET = 4;             // Players (people + bots) the open arena and quick matches are topped up to
+const BOT_FILL_INTERVAL = 1000;        // ms between bot count checks - bots join and leave one at a time
+const BOT_RESPAWN_DELAY = 3000;        // ms a dead bot waits before respawning
+const BOT_SIGHT_RANGE = 60;            // Bots ignore players further away than this
+const BOT_RETREAT_MS = 4000;           // How long a hurt bot backs off before fighting again
+const BOT_BLOCK_MS = 600;              // How long a bot holds its guard up
+const BOT_NAMES = ['Ragnar', 'Tomoe', 'Hanzo', 'Godfrey', 'Musashi', 'Sigrid', 'Kenshin', 'Roland', 'Yasuke', 'Percival', 'Akane', 'Brunhild'];
+// reactionMs - time between decisions, aimError - radians of wobble in the aim,
+// blockChance - chance to block a swing it sees coming, retreatHealth - health fraction it backs off at,
+// reach - fraction of its weapon range it swings from
+const BOT_DIFFICULTIES = {
+    easy: { reactionMs: 700, aimError: 0.4, blockChance: 0.1, sprints: false, retreatHealth: 0, reach: 0.8 },
+    normal: { reactionMs: 400, aimError: 0.2, blockChance: 0.35, sprints: true, retreatHealth: 0.25, reach: 0.9 },
+    hard: { reactionMs: 200, aimError: 0.05, blockChance: 0.65, sprints: true, retreatHealth: 0.35, reach: 1 }
+};
+// Headings tried, in order, when the way ahead is blocked by terrain
+const BOT_DETOUR_ANGLES = [0.5, -0.5, 1, -1, 1.5, -1.5, 2.2, -2.2];
+let botCounter = 0;
+let lastBotFillAt = 0;
+
+// People in a room - bots don't count towards the player limit
+function countHumanPlayers(room) {
+    return getRoomPlayers(room).filter(player => !player.isBot).length;
+}
+
+// Create a bot with a random character and sword and put it in a room
+// profile can fix the name, characterType and swordType; anything else in it
+// is copied onto the bot (e.g. wave enemy traits)
+function createBot(room, difficulty, profile = {}) {
+    const { name, characterType: fixedCharacterType, swordType: fixedSwordType, ...traits } = profile;
+    const now = Date.now();
+    const id = `bot_${++botCounter}`;
+    const characterTypes = Object.keys(GameDefinitions.CHARACTERS);
+    const characterType = fixedCharacterType || characterTypes[Math.floor(Math.random() * characterTypes.length)];
+    const swords = GameDefinitions.getCharacter(characterType).swords;
+    const stats = getCharacterSimStats(characterType);
+
+    // A name nobody is using, so duel challenges and kill messages stay unambiguous
+    const usedNames = new Set(Object.values(players).map(player => player.name));
+    const baseName = BOT_NAMES.find(botName => !usedNames.has(`Bot ${botName}`)) || `${BOT_NAMES[botCounter % BOT_NAMES.length]} ${botCounter}`;
+
+    const bot = {
+        id: id,
+        name: name || `Bot ${baseName}`,
+        isBot: true,
+        joinedAt: now,
+        fullyRegistered: true,
+        characterType: characterType,
+        swordType: fixedSwordType || swords[Math.floor(Math.random() * swords.length)],
+        position: { x: 0, y: 0, z: 0 },
+        rotation: 0,
+        health: stats.maxHealth,
+        stamina: stats.staminaMax,
+        isDead: false,
+        isAttacking: false,
+        isBlocking: false,
+        isSprinting: false,
+        lastAttackClock: -Infinity,
+        attackEndsAt: 0,
+        pendingPosition: null,
+        usesInputs: true,     // Moves through the same input commands as a client
+        inputQueue: [],
+        inputClock: 0,
+        lastQueuedInput: 0,
+        lastProcessedInput: 0,
+        socketId: null,
+        roomId: room.id,
+        lastActivity: now,
+        // Decision state
+        ai: {
+            difficulty: BOT_DIFFICULTIES[difficulty] ? difficulty : 'normal',
+            targetId: null,
+            nextThinkAt: 0,
+            aimOffset: 0,
+            strafe: 0,
+            blockUntil: 0,
+            retreatUntil: 0,
+            canRetreatAt: 0,
+            detourYaw: null,
+            detourUntil: 0,
+            wanderTarget: null,
+            diedAt: null
+        },
+        ...traits
+    };
+    players[id] = bot;
+    addBotToRoom(bot, room);
+    return bot;
+}
+
+// Put a bot into a room - the socket-free version of movePlayerToRoom
+function addBotToRoom(bot, room) {
+    bot.roomId = room.id;
+    room.players.add(bot.id);
+    room.emptySince = null;
+
+    const mode = ROOM_MODES[room.mode];
+    if (mode.onPlayerJoin) {
+        mode.onPlayerJoin(room, bot);
+    }
+    if (isScoredPlayer(bot)) getRoomScore(room, bot);
+
+    resetPlayerForSpawn(bot, getSpawnPosition(room, bot));
+    if (mode.canRespawn && !mode.canRespawn(room, bot)) {
+        bot.health = 0;
+        bot.isDead = true;
+    }
+
+    io.to(room.id).emit('playerJoined', bot);
+    console.log(`[BOT] ${bot.name} joined '${room.name}' as a ${bot.characterType} with ${bot.swordType} (${bot.ai.difficulty})`);
+}
+
+// Take a bot out of its room and the game
+function removeBot(bot) {
+    const room = getPlayerRoom(bot);
+    removePlayerFromRoom(bot.id, room);
+    io.to(room ? room.id : DEFAULT_ROOM_ID).emit('playerLeft', {
+        id: bot.id,
+        name: bot.name,
+        lastPosition: bot.position,
+        reason: 'bot_removed'
+    });
+    delete players[bot.id];
+    console.log(`[BOT] ${bot.name} left '${room ? room.name : 'no room'}'`);
+}
+
+// Add or remove one bot per room so people + bots reach the room's bot target
+function updateBotCounts(now) {
+    if (now - lastBotFillAt < BOT_FILL_INTERVAL) return;
+    lastBotFillAt = now;
+
+    for (const roomId in games) {
+        const room = games[roomId];
+        if (ROOM_MODES[room.mode].noBotFill) continue;
+        const roomPlayers = getRoomPlayers(room);
+        const humans = roomPlayers.filter(player => !player.isBot).length;
+        const bots = roomPlayers.filter(player => player.isBot);
+
+        // Bots only keep people company - a room nobody is in loses them so it can close
+        const wanted = humans === 0 ? 0 : Math.max(0, Math.min(room.botTarget, room.maxPlayers) - humans);
+        if (bots.length < wanted) {
+            createBot(room, room.botDifficulty);
+        } else if (bots.length > wanted) {
+            removeBot(bots[bots.length - 1]);
+        }
+    }
+}
+
+// Whether a heading is clear of terrain and walls for the next couple of metres
+function isBotPathClear(bot, yaw, map) {
+    const probe = {
+        x: bot.position.x - Math.sin(yaw) * 2,
+        y: bot.position.y,
+        z: bot.position.z - Math.cos(yaw) * 2
+    };
+    const limit = map.size / 2 - 2;
+    return Math.abs(probe.x) < limit && Math.abs(probe.z) < limit && !collidesWithTerrain(probe, map);
+}
+
+// Pick the heading to walk on - straight at the goal, or the smallest detour around whatever is in the way
+function steerBot(bot, yaw, map, now) {
+    const ai = bot.ai;
+    if (ai.detourYaw !== null && now < ai.detourUntil && isBotPathClear(bot, ai.detourYaw, map)) {
+        return ai.detourYaw;
+    }
+    ai.detourYaw = null;
+    if (isBotPathClear(bot, yaw, map)) return yaw;
+
+    for (const angle of BOT_DETOUR_ANGLES) {
+        if (isBotPathClear(bot, yaw + angle, map)) {
+            // Stick with the detour for a moment so the bot doesn't jitter at the obstacle's edge
+            ai.detourYaw = yaw + angle;
+            ai.detourUntil = now + 800;
+            return ai.detourYaw;
+        }
+    }
+    return yaw;
+}
+
+// Choose the closest enemy the bot can see and is allowed to hurt
+function findBotTarget(bot, room) {
+    if (!roomAllowsCombat(room)) return null;
+    const mode = ROOM_MODES[room.mode];
+
+    let best = null;
+    // Wave enemies always know where the survivors are
+    let bestDistance = bot.isWaveEnemy ? Infinity : BOT_SIGHT_RANGE;
+    getRoomPlayers(room).forEach(player => {
+        if (player.id === bot.id || player.health <= 0) return;
+        // Never pick on teammates, even with friendly fire on
+        if (bot.team && player.team === bot.team) return;
+        if (mode.canDamage && !mode.canDamage(room, bot, player)) return;
+
+        const dx = player.position.x - bot.position.x;
+        const dz = player.position.z - bot.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < bestDistance) {
+            best = player;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
+
+// Re-evaluate target, guard and retreat - runs every reactionMs rather than every tick
+function thinkBot(bot, room, settings, now) {
+    const ai = bot.ai;
+    ai.nextThinkAt = now + settings.reactionMs * (0.75 + Math.random() * 0.5);
+
+    const target = findBotTarget(bot, room);
+    ai.targetId = target ? target.id : null;
+    ai.aimOffset = (Math.random() * 2 - 1) * settings.aimError;
+    if (Math.random() < 0.3) {
+        ai.strafe = Math.floor(Math.random() * 3) - 1;
+    }
+    if (!target) return;
+
+    const dx = target.position.x - bot.position.x;
+    const dz = target.position.z - bot.position.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+
+    // Guard against a swing we can see coming
+    const threatRange = GameDefinitions.getSword(target.swordType).range * 1.8 + 1;
+    if (target.isAttacking && distance < threatRange && Math.random() < settings.blockChance) {
+        ai.blockUntil = now + BOT_BLOCK_MS;
+    }
+
+    // Back off when badly hurt, then come back for more
+    const maxHealth = getPlayerSimStats(bot).maxHealth;
+    if (bot.health < maxHealth * settings.retreatHealth && now >= ai.canRetreatAt) {
+        ai.retreatUntil = now + BOT_RETREAT_MS;
+        ai.canRetreatAt = ai.retreatUntil + BOT_RETREAT_MS * 2;
+    }
+}
+
+// Where a bot with nobody to fight heads for - the hill in King of the Hill, otherwise somewhere random
+function getBotWanderGoal(bot, room) {
+    if (room.hill && room.hill.position) {
+        return { position: room.hill.position, stopDistance: Math.max(2, room.hill.radius - 2) };
+    }
+    const ai = bot.ai;
+    if (!ai.wanderTarget || Math.hypot(ai.wanderTarget.x - bot.position.x, ai.wanderTarget.z - bot.position.z) < 3) {
+        ai.wanderTarget = findSpawnPosition(room.map);
+    }
+    return { position: ai.wanderTarget, stopDistance: 2 };
+}
+
+// Decide this tick's input command for a bot and queue it like a client would
+function updateBot(bot, delta, now) {
+    const room = getPlayerRoom(bot);
+    if (!room) return;
+    const ai = bot.ai;
+    const settings = BOT_DIFFICULTIES[ai.difficulty];
+    bot.lastActivity = now;
+
+    // Dead - wait a moment, then respawn if the mode allows it
+    if (bot.health <= 0) {
+        if (!ai.diedAt) ai.diedAt = now;
+        const mode = ROOM_MODES[room.mode];
+        if (now - ai.diedAt >= BOT_RESPAWN_DELAY && (!mode.canRespawn || mode.canRespawn(room, bot))) {
+            respawnPlayerAtSpawn(room, bot, now);
+        }
+        return;
+    }
+    ai.diedAt = null;
+
+    if (now >= ai.nextThinkAt) {
+        thinkBot(bot, room, settings, now);
+    }
+
+    const target = players[ai.targetId];
+    const hasTarget = target && target.health > 0 && target.roomId === bot.roomId;
+    const input = {
+        seq: ++bot.lastQueuedInput,
+        dt: delta,
+        yaw: bot.yaw || 0,
+        forward: false,
+        backward: false,
+        left: false,
+        right: false,
+        sprint: false,
+        block: now < ai.blockUntil,
+        attack: false,
+        swordType: bot.swordType
+    };
+
+    // Where to go: out of the storm first, then away from or towards the target, otherwise wander
+    let goal = null;
+    let aimAtTarget = false;
+    const zoneCircle = room.zone && room.state === 'in_progress' ? getZoneCircle(room.zone, now) : null;
+    const targetDistance = hasTarget ?
+        Math.hypot(target.position.x - bot.position.x, target.position.z - bot.position.z) : Infinity;
+    const swingRange = GameDefinitions.getSword(bot.swordType).range * 1.5 * settings.reach;
+
+    if (zoneCircle && targetDistance > swingRange * 2 &&
+        Math.hypot(bot.position.x - zoneCircle.center.x, bot.position.z - zoneCircle.center.z) > zoneCircle.radius - 3) {
+        goal = { position: zoneCircle.center, stopDistance: 0, sprint: true };
+    } else if (hasTarget && now < ai.retreatUntil) {
+        // Run directly away from the target
+        goal = {
+            position: {
+                x: bot.position.x * 2 - target.position.x,
+                z: bot.position.z * 2 - target.position.z
+            },
+            stopDistance: 0,
+            sprint: true
+        };
+    } else if (hasTarget) {
+        goal = { position: target.position, stopDistance: swingRange * 0.8, sprint: targetDistance > 10 };
+        aimAtTarget = true;
+    } else {
+        goal = getBotWanderGoal(bot, room);
+    }
+
+    const dx = goal.position.x - bot.position.x;
+    const dz = goal.position.z - bot.position.z;
+    const goalDistance = Math.sqrt(dx * dx + dz * dz);
+    const goalYaw = Math.atan2(-dx, -dz);
+
+    if (goalDistance > goal.stopDistance) {
+        input.yaw = steerBot(bot, goalYaw, room.map, now);
+        input.forward = true;
+        input.sprint = !!goal.sprint && settings.sprints && bot.stamina > 30 && !input.block;
+    } else {
+        input.yaw = goalYaw;
+        // Circle the target a little instead of standing still
+        if (aimAtTarget) {
+            input.left = ai.strafe < 0;
+            input.right = ai.strafe > 0;
+        }
+    }
+
+    // Swing when the target is in reach and the weapon is ready
+    if (aimAtTarget && targetDistance <= swingRange && !input.block) {
+        input.yaw = goalYaw + ai.aimOffset;
+        const cooldown = GameDefinitions.getAttackCooldown(bot.characterType, bot.swordType);
+        if (bot.inputClock + delta - bot.lastAttackClock >= cooldown) {
+            input.attack = true;
+        }
+    }
+
+    bot.inputQueue.push(input);
+}
+
+// Drive every bot for this tick, and add or remove bots as people come and go
+function updateBots(delta, now) {
+    updateBotCounts(now);
+    for (const id in players) {
+        if (players[id].isBot) {
+            updateBot(players[id], delta, now);
+        }
+    }
+}
+
+// Power-ups - the server spawns them in each room, decides who reaches one first and
+// times the boosts, which movement and hit detection apply. Clients only draw them
+const POWER_UP_TYPES = {
+    health: { heal: 30 },                            // Instant
+    speed: { scale: 1.5, durationMs: 10000 },        // Move and sprint speed
+    power: { scale: 1.5, durationMs: 10000 }         // Damage dealt
+};
+const POWER_UP_MAX_PER_ROOM = 5;
+const POWER_UP_SPAWN_INTERVAL = 10000;  // ms between spawns while people are in a room
+const POWER_UP_PICKUP_RADIUS = 1.5;
+const POWER_UP_MIN_SPACING = 5;         // Keep power-ups apart from each other
+let powerUpCounter = 0;
+
+// Multiplier from a timed power-up, 1 if the player doesn't have it running
+function getPowerUpScale(player, type, now = Date.now()) {
+    const expiresAt = player.powerUpEffects && player.powerUpEffects[type];
+    return expiresAt && expiresAt > now ? POWER_UP_TYPES[type].scale : 1;
+}
+
+// Drop a random power-up somewhere clear of terrain and the other power-ups
+function spawnPowerUp(room) {
+    const existing = Object.values(room.powerUps);
+    for (let attempt = 0; attempt < 20; attempt++) {
+        const position = findSpawnPosition(room.map);
+        const crowded = existing.some(other =>
+            Math.hypot(other.position.x - position.x, other.position.z - position.z) < POWER_UP_MIN_SPACING);
+        if (crowded) continue;
+
+        const types = Object.keys(POWER_UP_TYPES);
+        const powerUp = {
+            id: `powerup_${++powerUpCounter}`,
+            type: types[Math.floor(Math.random() * types.length)],
+            position: { x: position.x, y: 1, z: position.z }
+        };
+        room.powerUps[powerUp.id] = powerUp;
+        io.to(room.id).emit('powerUpSpawned', { roomId: room.id, powerUp });
+        return powerUp;
+    }
+    return null;
+}
+
+// Give a player a power-up's effect - picking up a boost they already have restarts its timer
+function applyPowerUp(player, type, now) {
+    const definition = POWER_UP_TYPES[type];
+    if (definition.heal) {
+        player.health = Math.min(getPlayerSimStats(player).maxHealth, player.health + definition.heal);
+    }
+    if (definition.durationMs) {
+        player.powerUpEffects = { ...player.powerUpEffects, [type]: now + definition.durationMs };
+    }
+}
+
+// Pickups and spawns for one room - runs every tick
+function updatePowerUps(room, now) {
+    const roomPlayers = getRoomPlayers(room);
+    if (!roomPlayers.some(player => !player.isBot)) return;
+
+    // Players are checked in a fixed order, so exactly one of them gets each power-up
+    for (const id in room.powerUps) {
+        const powerUp = room.powerUps[id];
+        const collector = roomPlayers.find(player => player.health > 0 && !player.isWaveEnemy &&
+            Math.hypot(player.position.x - powerUp.position.x, player.position.z - powerUp.position.z) < POWER_UP_PICKUP_RADIUS);
+        if (!collector) continue;
+
+        delete room.powerUps[id];
+        applyPowerUp(collector, powerUp.type, now);
+        io.to(room.id).emit('powerUpCollected', {
+            roomId: room.id,
+            id: powerUp.id,
+            type: powerUp.type,
+            playerId: collector.id,
+            playerName: collector.name,
+            durationMs: POWER_UP_TYPES[powerUp.type].durationMs || 0,
+            health: collector.health
+        });
+        debugLog(`[POWERUP] ${collector.name} picked up ${powerUp.type} in ${room.id}`);
+    }
+
+    if (now >= room.nextPowerUpAt) {
+        room.nextPowerUpAt = now + POWER_UP_SPAWN_INTERVAL;
+        if (Object.keys(room.powerUps).length < POWER_UP_MAX_PER_ROOM) {
+            spawnPowerUp(room);
+        }
+    }
+}
+
+// Spectators - sockets watching a room without a `players` entry, so there's nothing to hit
+// They sit in the room's Socket.io room and get the same broadcasts as its players
+const spectators = {};
+
+// How many spectators are watching a room
+function countSpectators(room) {
+    return Object.values(spectators).filter(spectator => spectator.roomId === room.id).length;
+}
+
+// Start (or move) a spectator watching a room - the same world data a joining player gets, minus a spawn
+function spectateRoom(socket, room) {
+    const spectator = spectators[socket.id];
+    if (spectator.roomId && spectator.roomId !== room.id) {
+        socket.leave(spectator.roomId);
+    }
+    spectator.roomId = room.id;
+    socket.join(room.id);
+
+    socket.emit('mapData', room.map);
+    socket.emit('spectating', {
+        room: buildRoomSummary(room),
+        scores: room.scores
+    });
+    sendExistingPlayersToClient(socket);
+    console.log(`[SPECTATE] ${spectator.name} (${socket.id}) is watching '${room.name}'`);
+}
+
+// Stop watching - used when a spectator joins as a player
+function stopSpectating(socket) {
+    const spectator = spectators[socket.id];
+    if (!spectator) return;
+    if (spectator.roomId) {
+        socket.leave(spectator.roomId);
+    }
+    delete spectators[socket.id];
+    console.log(`[SPECTATE] ${spectator.name} (${socket.id}) stopped watching to play`);
+}
+
+// Send everyone watching a closed room back to the open arena
+function moveSpectatorsOut(room) {
+    for (const id in spectators) {
+        const socket = io.sockets.sockets.get(id);
+        if (spectators[id].roomId === room.id && socket) {
+            spectateRoom(socket, games[DEFAULT_ROOM_ID]);
+        }
+    }
+}
+
+// Replays - every match is recorded as a timeline and saved to REPLAY_DIR when it ends
+// (the open arena, which has no matches, is saved in segments instead)
+// Snapshots are [t, [[id, x, y, z, rotation, health, blocking], ...]] and events are
+// small objects, with t in ms since the match started; game.html plays the files back
+const REPLAY_DIR = path.join(__dirname, 'replays');
+const REPLAY_VERSION = 1;
+const REPLAY_SNAPSHOT_TICKS = 2;       // Record every 2nd tick (10 Hz) - playback interpolates between them
+const REPLAY_MAX_CHAT_LENGTH = 200;
+const REPLAY_SEGMENT_MS = 600000;      // Length of each open arena recording
+const REPLAY_MIN_DURATION_MS = 10000;  // Shorter recordings aren't worth a file
+const REPLAY_MAX_FILES = 200;          // Oldest replays are deleted beyond this many
+// Events that mean something happened - a recording of only comings and goings isn't kept
+const REPLAY_ACTION_EVENTS = ['attack', 'damage', 'defeat', 'chat'];
+
+// Start recording a room's match, with everyone already in the room as joins at t=0
+function startReplay(room, now) {
+    room.replay = {
+        version: REPLAY_VERSION,
+        roomId: room.id,
+        roomName: room.name,
+        mode: room.mode,
+        modeName: ROOM_MODES[room.mode].name,
+        startedAt: now,
+        duration: 0,
+        endReason: null,
+        map: room.map,
+        roster: {},
+        events: [],
+        snapshots: []
+    };
+    recordReplaySnapshot(room, now);
+}
+
+// Record the open arena in rolling segments while anyone is playing in it
+function updateArenaReplay(room, now) {
+    if (countHumanPlayers(room) === 0) {
+        saveReplay(room, now, 'arena_empty');
+        return;
+    }
+    if (room.replay && now - room.replay.startedAt >= REPLAY_SEGMENT_MS) {
+        saveReplay(room, now, 'segment_end');
+    }
+    if (!room.replay) {
+        startReplay(room, now);
+    }
+}
+
+// Add an event to the room's replay, if its match is being recorded
+function recordReplayEvent(room, type, data = {}) {
+    if (!room || !room.replay) return;
+    room.replay.events.push({ t: Date.now() - room.replay.startedAt, type, ...data });
+}
+
+// Record where everyone is - players that appeared or vanished since the last snapshot become joins and leaves
+function recordReplaySnapshot(room, now) {
+    const replay = room.replay;
+    const t = now - replay.startedAt;
+    const roomPlayers = getRoomPlayers(room);
+    const present = new Set();
+    const round = (value, places) => Math.round((value || 0) * places) / places;
+
+    roomPlayers.forEach(player => {
+        present.add(player.id);
+        const known = replay.roster[player.id];
+        if (!known) {
+            replay.roster[player.id] = { swordType: player.swordType };
+            replay.events.push({
+                t,
+                type: 'join',
+                id: player.id,
+                name: player.name,
+                characterType: player.characterType,
+                swordType: player.swordType,
+                team: player.team || null,
+                isBot: !!player.isBot
+            });
+        } else if (known.swordType !== player.swordType) {
+            known.swordType = player.swordType;
+            replay.events.push({ t, type: 'sword', id: player.id, swordType: player.swordType });
+        }
+    });
+
+    Object.keys(replay.roster).forEach(id => {
+        if (!present.has(id)) {
+            delete replay.roster[id];
+            replay.events.push({ t, type: 'leave', id });
+        }
+    });
+
+    replay.snapshots.push([t, roomPlayers.map(player => [
+        player.id,
+        round(player.position.x, 100),
+        round(player.position.y, 100),
+        round(player.position.z, 100),
+        round(player.rotation, 1000),
+        Math.round(player.health),
+        player.isBlocking ? 1 : 0
+    ])]);
+}
+
+// Write a finished match's replay to disk - the write is async so the tick never waits on it
+function saveReplay(room, now, reason, winner = null) {
+    const replay = room.replay;
+    if (!replay) return;
+
+    // One last snapshot so the final blow is in the file
+    recordReplaySnapshot(room, now);
+    room.replay = null;
+
+    // Events stamped later in this tick still fall inside the match
+    const lastEvent = replay.events[replay.events.length - 1];
+    replay.duration = Math.max(now - replay.startedAt, lastEvent ? lastEvent.t : 0);
+    replay.endReason = reason;
+    if (replay.duration < REPLAY_MIN_DURATION_MS || !replay.events.some(event => REPLAY_ACTION_EVENTS.includes(event.type))) {
+        console.log(`[REPLAY] Not saving '${replay.roomName}' - too short or nothing happened`);
+        return;
+    }
+    replay.events.push({ t: replay.duration, type: 'end', reason, winner });
+    delete replay.roster;
+
+    const stamp = new Date(replay.startedAt).toISOString().replace(/[:.]/g, '-');
+    const fileName = `${stamp}_${replay.roomId}_${replay.mode}.json`;
+    fs.promises.mkdir(REPLAY_DIR, { recursive: true })
+        .then(() => fs.promises.writeFile(path.join(REPLAY_DIR, fileName), JSON.stringify(replay)))
+        .then(() => console.log(`[REPLAY] Saved '${replay.roomName}' (${Math.round(replay.duration / 1000)}s, ${replay.events.length} events) to replays/${fileName}`))
+        .then(() => pruneReplays())
+        .catch(error => console.error(`[REPLAY] Could not save replay for '${replay.roomName}': ${error.message}`));
+}
+
+// Delete the oldest replays beyond REPLAY_MAX_FILES - file names start with the
+// start time, so they sort oldest first
+function pruneReplays() {
+    return fs.promises.readdir(REPLAY_DIR).then(files => {
+        const replays = files.filter(file => file.endsWith('.json')).sort();
+        const excess = replays.slice(0, Math.max(0, replays.length - REPLAY_MAX_FILES));
+        return Promise.all(excess.map(file => fs.promises.unlink(path.join(REPLAY_DIR, file))))
+            .then(() => {
+                if (excess.length > 0) {
+                    console.log(`[REPLAY] Deleted ${excess.length} old replay${excess.length === 1 ? '' : 's'}`);
+                }
+            });
+    });
+}
+
+// Local JSON stores under data/ - read once at startup and written back asynchronously
+// Writes never overlap, and a change made mid-write queues another
+// DATA_DIR moves them elsewhere, e.g. so the tests don't touch the real stores
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+function loadJsonStore(file, defaults, tag) {
+    const store = { file, tag, data: defaults, saving: false, dirty: false };
+    try {
+        Object.assign(store.data, JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (error) {
+        // A missing file just means nothing has been saved yet
+        if (error.code !== 'ENOENT') {
+            console.error(`[${tag}] Could not read ${file}: ${error.message}`);
+        }
+    }
+    return store;
+}
+
+// Write a store back to its file
+function saveJsonStore(store) {
+    if (store.saving) {
+        store.dirty = true;
+        return;
+    }
+    store.saving = true;
+
+    const tempFile = `${store.file}.tmp`;
+    fs.promises.mkdir(path.dirname(store.file), { recursive: true })
+        .then(() => fs.promises.writeFile(tempFile, JSON.stringify(store.data, null, 2)))
+        .then(() => fs.promises.rename(tempFile, store.file))
+        .catch(error => console.error(`[${store.tag}] Could not save ${store.file}: ${error.message}`))
+        .then(() => {
+            store.saving = false;
+            if (store.dirty) {
+                store.dirty = false;
+                saveJsonStore(store);
+            }
+        });
+}
+
+// Accounts - usernames with scrypt-hashed passwords, kept in a local JSON file
+// Logging in issues a session token; the socket handshake checks it, and a logged-in
+// socket always plays under its username. Registered usernames are reserved for their owner
+const ACCOUNTS_FILE = path.join(DATA_DIR, 'accounts.json');
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 128;
+const PASSWORD_KEY_LENGTH = 64;         // scrypt output length (bytes)
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sessions last 30 days
+
+// accounts is keyed by lowercase username; sessions by a hash of the token, so the file alone can't log anyone in
+const accountStore = loadJsonStore(ACCOUNTS_FILE, { accounts: {}, sessions: {} }, 'ACCOUNTS');
+console.log(`[ACCOUNTS] Loaded ${Object.keys(accountStore.data.accounts).length} accounts`);
+
+// Look up an account by username, ignoring case
+function getAccount(username) {
+    return typeof username === 'string' ? accountStore.data.accounts[username.trim().toLowerCase()] || null : null;
+}
+
+// Whether a name belongs to a registered account
+function isNameReserved(name) {
+    return !!getAccount(name);
+}
+
+// Hash a password with the account's salt
+function hashPassword(password, salt, callback) {
+    crypto.scrypt(password, salt, PASSWORD_KEY_LENGTH, (error, key) => callback(error, key && key.toString('hex')));
+}
+
+// Check a password against an account's stored hash - callback(error, matches)
+function verifyPassword(account, password, callback) {
+    hashPassword(password, account.salt, (error, hash) => {
+        if (error) return callback(error, false);
+        callback(null, crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.passwordHash, 'hex')));
+    });
+}
+
+// Store a token hash, not the token itself
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issue a new session token for an account
+function createSession(account) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = Date.now();
+
+    // Drop expired sessions while we're here
+    for (const key in accountStore.data.sessions) {
+        if (accountStore.data.sessions[key].expiresAt <= now) {
+            delete accountStore.data.sessions[key];
+        }
+    }
+
+    accountStore.data.sessions[hashSessionToken(token)] = {
+        username: account.username.toLowerCase(),
+        expiresAt: now + SESSION_TTL_MS
+    };
+    account.lastLoginAt = now;
+    saveJsonStore(accountStore);
+    return token;
+}
+
+// The account a session token belongs to, or null if it's unknown or expired
+function getSessionAccount(token) {
+    if (typeof token !== 'string' || token === '') return null;
+    const session = accountStore.data.sessions[hashSessionToken(token)];
+    if (!session || session.expiresAt <= Date.now()) return null;
+    return getAccount(session.username);
+}
+
+// Check a username/password pair from a register or login request - returns an error code or null
+function validateCredentials(username, password) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) return 'invalid_username';
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+        return 'invalid_password';
+    }
+    return null;
+}
+
+// The name a socket plays or watches under - accounts always use their username,
+// and guests can't take one that's registered
+function resolvePlayerName(socket, requestedName, fallbackName) {
+    const account = getAccount(socket.data.account);
+    if (account) return account.username;
+
+    const name = typeof requestedName === 'string' ? requestedName.trim().substring(0, 32) : '';
+    if (name === '') return fallbackName;
+
+    if (isNameReserved(name)) {
+        console.log(`[ACCOUNTS] Guest ${socket.id} tried to use the registered name '${name}' - using '${fallbackName}'`);
+        socket.emit('nameRejected', { name, reason: 'name_reserved', assignedName: fallbackName });
+        return fallbackName;
+    }
+    return name;
+}
+
+// Career stats - lifetime totals for every account, kept in a local JSON file
+// Guests and bots aren't tracked. Changes are written out every STATS_SAVE_INTERVAL,
+// which is also when playtime is counted
+const STATS_FILE = path.join(DATA_DIR, 'stats.json');
+const STATS_SAVE_INTERVAL = 30000;   // ms between playtime counts and saves
+
+// players is keyed by lowercase username, like accounts; weekly holds this week's leaderboard totals
+const statsStore = loadJsonStore(STATS_FILE, { players: {}, weekly: { startsOn: null, players: {} } }, 'STATS');
+let statsChanged = false;
+
+// Get (or start) the career record for a player's account - null for guests and bots
+function getCareerStats(player) {
+    if (!player || !player.account || !getAccount(player.account)) return null;
+    const records = statsStore.data.players;
+    if (!records[player.account]) {
+        records[player.account] = {
+            kills: 0,
+            deaths: 0,
+            damageDealt: 0,
+            damageTaken: 0,
+            blocks: 0,
+            matchesPlayed: 0,
+            wins: 0,
+            winStreak: 0,       // Matches won in a row, up to the latest one
+            bestWinStreak: 0,
+            rating: RATING_START,
+            playtimeMs: 0,
+            weaponSwings: {},
+            weaponKills: {},
+            firstPlayedAt: Date.now()
+        };
+    }
+    return records[player.account];
+}
+
+// Add to a player's career totals, e.g. addCareerStats(player, { kills: 1 })
+// Totals the weekly table keeps count towards this week's too
+function addCareerStats(player, amounts) {
+    const record = getCareerStats(player);
+    if (!record) return;
+    const weekly = getWeeklyStats(player.account, Date.now());
+    for (const key in amounts) {
+        record[key] += amounts[key];
+        if (key in weekly) {
+            weekly[key] += amounts[key];
+        }
+    }
+    statsChanged = true;
+}
+
+// A finished match - counts it, and a win extends the win streak while anything else ends it
+// won is null for matches nobody wins (co-op), which leave the streak alone
+function recordMatchResult(player, won) {
+    const record = getCareerStats(player);
+    if (!record) return;
+    addCareerStats(player, { matchesPlayed: 1, wins: won ? 1 : 0 });
+    if (won === null) return;
+    record.winStreak = won ? (record.winStreak || 0) + 1 : 0;
+    record.bestWinStreak = Math.max(record.bestWinStreak || 0, record.winStreak);
+    const weekly = getWeeklyStats(player.account, Date.now());
+    weekly.bestWinStreak = Math.max(weekly.bestWinStreak, record.winStreak);
+}
+
+// Count a swing or kill with a weapon - field is weaponSwings or weaponKills
+function addCareerWeaponStat(player, field, swordType) {
+    const record = getCareerStats(player);
+    if (!record) return;
+    record[field][swordType] = (record[field][swordType] || 0) + 1;
+    statsChanged = true;
+}
+
+// Add the time since a player was last counted to their playtime
+function countPlaytime(player, now) {
+    if (!player.playtimeCountedAt) return;
+    addCareerStats(player, { playtimeMs: now - player.playtimeCountedAt });
+    player.playtimeCountedAt = now;
+}
+
+// Count everyone's playtime and write the stats file if anything changed
+function saveCareerStats(now) {
+    for (const id in players) {
+        countPlaytime(players[id], now);
+    }
+    if (statsChanged) {
+        statsChanged = false;
+        saveJsonStore(statsStore);
+    }
+}
+
+// Public career profile for an account, or null if there's no such account
+function buildCareerProfile(username) {
+    const account = getAccount(username);
+    if (!account) return null;
+    const record = getCareerStats({ account: account.username.toLowerCase() });
+    const swings = record.weaponSwings;
+    const favourite = Object.keys(swings).sort((a, b) => swings[b] - swings[a])[0] || null;
+    return {
+        username: account.username,
+        kills: record.kills,
+        deaths: record.deaths,
+        kd: getKillDeathRatio(record.kills, record.deaths),
+        damageDealt: record.damageDealt,
+        damageTaken: record.damageTaken,
+        blocks: record.blocks,
+        favouriteWeapon: favourite ? { type: favourite, name: GameDefinitions.getSword(favourite).name, swings: swings[favourite] } : null,
+        weaponKills: record.weaponKills,
+        playtimeMs: record.playtimeMs,
+        matchesPlayed: record.matchesPlayed,
+        wins: record.wins,
+        bestWinStreak: record.bestWinStreak || 0,
+        rating: Math.round(getPlayerRating({ account: account.username.toLowerCase() })),
+        memberSince: account.createdAt
+    };
+}
+
+// Kills per death to two decimals - no deaths counts as one
+function getKillDeathRatio(kills, deaths) {
+    return Math.round(kills / Math.max(deaths, 1) * 100) / 100;
+}
+
+if (RUN_AS_SERVER) {
+    setInterval(() => saveCareerStats(Date.now()), STATS_SAVE_INTERVAL);
+}
+
+// Leaderboards - top players by kills, K/D and best win streak, all time and this week,
+// plus kills with each weapon. Built from the career stats, so only accounts are ranked
+const LEADERBOARD_SIZE = 10;            // Places on each board
+const LEADERBOARD_KD_MIN_KILLS = 10;    // Kills needed before a K/D is ranked
+
+// The UTC date of the Monday starting the week a time falls in
+function getWeekStart(now) {
+    const date = new Date(now);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday))
+        .toISOString().substring(0, 10);
+}
+
+// This week's table - it starts over when a new week begins
+function getWeeklyTable(now) {
+    const weekly = statsStore.data.weekly;
+    const startsOn = getWeekStart(now);
+    if (weekly.startsOn !== startsOn) {
+        weekly.startsOn = startsOn;
+        weekly.players = {};
+        statsChanged = true;
+    }
+    return weekly;
+}
+
+// Get (or start) an account's totals for this week
+function getWeeklyStats(account, now) {
+    const records = getWeeklyTable(now).players;
+    if (!records[account]) {
+        records[account] = { kills: 0, deaths: 0, matchesPlayed: 0, wins: 0, bestWinStreak: 0 };
+    }
+    return records[account];
+}
+
+// The top entries for one stat - accounts with nothing to show are left off
+function rankLeaderboard(entries, getValue) {
+    return entries
+        .map(entry => ({ username: entry.username, value: getValue(entry) }))
+        .filter(entry => entry.value > 0)
+        .sort((a, b) => b.value - a.value)
+        .slice(0, LEADERBOARD_SIZE);
+}
+
+// Kills, K/D and win streak boards for a set of records
+function buildStatBoards(entries) {
+    return {
+        kills: rankLeaderboard(entries, entry => entry.kills),
+        kd: rankLeaderboard(entries.filter(entry => entry.kills >= LEADERBOARD_KD_MIN_KILLS),
+            entry => getKillDeathRatio(entry.kills, entry.deaths)),
+        winStreak: rankLeaderboard(entries, entry => entry.bestWinStreak || 0)
+    };
+}
+
+// Every leaderboard, as served at /leaderboard
+function buildLeaderboards(now) {
+    // Records paired with the account's display name
+    const withUsernames = (records) => Object.keys(records)
+        .filter(key => getAccount(key))
+        .map(key => ({ ...records[key], username: getAccount(key).username }));
+    const allTime = withUsernames(statsStore.data.players);
+    const weekly = getWeeklyTable(now);
+
+    const weapons = {};
+    Object.keys(GameDefinitions.SWORDS).forEach(swordType => {
+        weapons[swordType] = {
+            name: GameDefinitions.SWORDS[swordType].name,
+            kills: rankLeaderboard(allTime, entry => entry.weaponKills[swordType] || 0)
+        };
+    });
+
+    return {
+        updatedAt: now,
+        allTime: buildStatBoards(allTime),
+        weekly: { startsOn: weekly.startsOn, ...buildStatBoards(withUsernames(weekly.players)) },
+        weapons
+    };
+}
+
+// Skill ratings - Elo, kept with each account's career stats. Kills between people move
+// ratings a little and match results a lot more. Guests play at RATING_START but keep
+// nothing, and bots are never rated, so farming them gains nothing
+const RATING_START = 1200;
+const RATING_KILL_K = 4;         // Most one kill can move a rating
+const RATING_MATCH_K = 32;       // Most one match can move a rating, shared out across the opponents
+
+// A player's current rating
+function getPlayerRating(player) {
+    const record = getCareerStats(player);
+    return record && typeof record.rating === 'number' ? record.rating : RATING_START;
+}
+
+// Move an account's rating - guests and bots are left alone
+function adjustRating(player, change) {
+    const record = getCareerStats(player);
+    if (!record) return;
+    record.rating = Math.round((getPlayerRating(player) + change) * 10) / 10;
+    statsChanged = true;
+}
+
+// One person beat another - the upset is worth more than the expected result
+function updateRatings(winner, loser, k) {
+    if (winner.isBot || loser.isBot) return;
+    const expected = 1 / (1 + Math.pow(10, (getPlayerRating(loser) - getPlayerRating(winner)) / 400));
+    const change = k * (1 - expected);
+    adjustRating(winner, change);
+    adjustRating(loser, -change);
+}
+
+// Everyone on the winning side beats everyone else still in the room
+function rateMatchResult(room, winner) {
+    if (!winner || ROOM_MODES[room.mode].unrated) return;
+    const people = getRoomPlayers(room).filter(player => !player.isBot);
+    const winners = people.filter(player => isMatchWinner(winner, player));
+    const losers = people.filter(player => !isMatchWinner(winner, player));
+    winners.forEach(player => {
+        losers.forEach(loser => updateRatings(player, loser, RATING_MATCH_K / losers.length));
+    });
+}
+
+// Leaving a match that's under way loses it to every opponent still playing
+function rateForfeit(room, player) {
+    if (room.persistent || player.isBot || ROOM_MODES[room.mode].unrated) return;
+    const opponents = getRoomPlayers(room)
+        .filter(other => other !== player && !other.isBot && (!player.team || other.team !== player.team));
+    opponents.forEach(opponent => updateRatings(opponent, player, RATING_MATCH_K / opponents.length));
+}
+
+// Matchmaking - a queue that puts players with similar ratings into ranked rooms
+// The accepted rating gap starts small and widens the longer someone waits. Only players in
+// the open arena get matched, so nobody is pulled out of a match they're playing
+const MATCHMAKING_MATCH_SIZE = 4;        // Players in a full ranked match
+const MATCHMAKING_MIN_PLAYERS = 2;       // Fewest a match is made with once someone has waited long enough
+const MATCHMAKING_FILL_WAIT_MS = 30000;  // How long to hold out for a full match
+const MATCHMAKING_WINDOW_START = 100;    // Rating gap accepted straight away
+const MATCHMAKING_WINDOW_GROWTH = 10;    // Extra gap accepted per second in the queue
+const MATCHMAKING_WINDOW_MAX = 600;
+const MATCHMAKING_INTERVAL = 1000;       // ms between matchmaking passes (and status updates)
+
+const matchmakingQueue = new Map();      // Socket id -> { id, joinedAt }
+
+// The rating gap a queued player accepts after waiting this long
+function getMatchmakingWindow(entry, now) {
+    const waitedSeconds = (now - entry.joinedAt) / 1000;
+    return Math.min(MATCHMAKING_WINDOW_MAX, MATCHMAKING_WINDOW_START + waitedSeconds * MATCHMAKING_WINDOW_GROWTH);
+}
+
+// Take a player out of the queue and tell them why
+function leaveMatchmakingQueue(playerId, reason) {
+    if (!matchmakingQueue.delete(playerId)) return;
+    io.to(playerId).emit('queueStatus', { queued: false, reason });
+}
+
+// Queue status for one player - sent every matchmaking pass while they wait
+function buildQueueStatus(entry, now) {
+    return {
+        queued: true,
+        rating: Math.round(getPlayerRating(players[entry.id])),
+        window: Math.round(getMatchmakingWindow(entry, now)),
+        waitedMs: now - entry.joinedAt,
+        queueSize: matchmakingQueue.size,
+        matchSize: MATCHMAKING_MATCH_SIZE
+    };
+}
+
+// Open a ranked room and move a matched group into it
+function startRankedMatch(entries) {
+    const room = createRoom({ name: 'Ranked Match', mode: 'ranked', maxPlayers: MATCHMAKING_MATCH_SIZE });
+    const names = entries.map(entry => players[entry.id].name);
+    console.log(`[MATCHMAKING] Matched ${names.join(', ')} into '${room.name}' (${room.id})`);
+    entries.forEach(entry => {
+        leaveMatchmakingQueue(entry.id, 'matched');
+        const socket = io.sockets.sockets.get(entry.id);
+        if (socket) movePlayerToRoom(socket, room);
+    });
+}
+
+// Group queued players whose ratings are close enough - the longest waiting are matched first
+function updateMatchmaking(now) {
+    // Drop anyone who went away
+    for (const id of matchmakingQueue.keys()) {
+        if (!players[id] || !players[id].fullyRegistered) matchmakingQueue.delete(id);
+    }
+
+    const waiting = Array.from(matchmakingQueue.values())
+        .filter(entry => players[entry.id].roomId === DEFAULT_ROOM_ID && !isBusyWithDuel(entry.id))
+        .sort((a, b) => a.joinedAt - b.joinedAt);
+    const matched = new Set();
+
+    for (const entry of waiting) {
+        if (matched.has(entry.id)) continue;
+        if (Object.keys(games).length >= MAX_ROOMS) break;
+
+        // Both sides have to accept the gap, and the closest ratings make the cut
+        const rating = getPlayerRating(players[entry.id]);
+        const group = waiting
+            .filter(other => other !== entry && !matched.has(other.id))
+            .map(other => ({ entry: other, gap: Math.abs(getPlayerRating(players[other.id]) - rating) }))
+            .filter(other => other.gap <= Math.min(getMatchmakingWindow(entry, now), getMatchmakingWindow(other.entry, now)))
+            .sort((a, b) => a.gap - b.gap)
+            .slice(0, MATCHMAKING_MATCH_SIZE - 1)
+            .map(other => other.entry);
+        group.unshift(entry);
+
+        const waitedLongEnough = now - entry.joinedAt >= MATCHMAKING_FILL_WAIT_MS;
+        if (group.length === MATCHMAKING_MATCH_SIZE || (group.length >= MATCHMAKING_MIN_PLAYERS && waitedLongEnough)) {
+            group.forEach(member => matched.add(member.id));
+            startRankedMatch(group);
+        }
+    }
+
+    matchmakingQueue.forEach(entry => io.to(entry.id).emit('queueStatus', buildQueueStatus(entry, now)));
+}
+
+if (RUN_AS_SERVER) {
+    setInterval(() => updateMatchmaking(Date.now()), MATCHMAKING_INTERVAL);
+}
+
+// The default arena everyone starts in
+createRoom({ id: DEFAULT_ROOM_ID, name: 'Open Arena', persistent: true, bots: BOT_FILL_TARGET });
+
+// Cleanup function for ghost players - improved version
+function cleanupGhostPlayers() {
+    const currentTime = Date.now();
+    const inactiveTimeout = 30000; // 30 seconds
+    let removedCount = 0;
+    
+    // Only print header if we're actually removing players
+    let logHeader = false;
+    
+    // Identify potential ghost players - not updated recently
+    for (const id in players) {
+        const player = players[id];
+        const lastActivity = player.lastActivity || player.joinedAt;
+        const inactiveDuration = currentTime - lastActivity;
+        
+        // If player hasn't updated in a while, mark as potential ghost
+        if (inactiveDuration > inactiveTimeout) {
+            // Only log the first detection
+            if (!potentialGhostPlayers[id]) {
+                potentialGhostPlayers[id] = {
+                    firstDetectedAt: currentTime,
+                    name: player.name,
+                    inactiveFor: inactiveDuration
+                };
+            }
+            
+            // If player has been inactive for a long time, remove them
+            if (inactiveDuration > 120000 || // 2 minutes of inactivity
+                (potentialGhostPlayers[id] && (currentTime - potentialGhostPlayers[id].firstDetectedAt > 60000))) {
+                
+                // Print header if we haven't already
+                if (!logHeader) {
+                    console.log(`\n[GHOST CLEANUP] Running ghost player cleanup at ${new Date().toISOString()}`);
+                    logHeader = true;
+                }
+                
+                console.log(`[GHOST CLEANUP] Removing confirmed ghost player ${player.name} (${id}) - inactive for ${Math.floor(inactiveDuration/1000)}s`);
+                
+                // Notify the player's room that they left
+                const room = getPlayerRoom(player);
+                removePlayerFromRoom(id, room);
+                io.to(room ? room.id : DEFAULT_ROOM_ID).emit('playerLeft', {
+                    id: id,
+                    name: player.name,
+                    lastPosition: player.position,
+                    reason: 'ghost_cleanup'
+                });
+                
+                // Remove player from registry
+                delete players[id];
+                delete potentialGhostPlayers[id];
+                removedCount++;
+            }
+        } else {
+            // Player is active, remove from potential ghosts if present
+            if (potentialGhostPlayers[id]) {
+                delete potentialGhostPlayers[id];
+            }
+        }
+    }
+    
+    // Only log summary if we removed players
+    if (removedCount > 0) {
+        console.log(`[GHOST CLEANUP] Removed ${removedCount} ghost players`);
+        console.log(`[GHOST CLEANUP] Cleanup complete. Remaining players: ${Object.keys(players).length}`);
+    }
+}
+
+if (RUN_AS_SERVER) {
+    // Run cleanup every 15 seconds
+    // (position synchronization is handled by the per-tick snapshots below)
+    setInterval(() => {
+        cleanupGhostPlayers();
+    }, 15000);
+
+    // Add interval to log player count - reduced frequency
+    setInterval(() => {
+        const connectedSockets = Object.keys(io.sockets.sockets).length;
+        const registeredPlayers = Object.keys(players).filter(id => players[id].fullyRegistered).length;
+    
+        // Only log if there are actually players connected
+        if (registeredPlayers > 0) {
+            console.log(`\n[STATUS] Connected clients: ${connectedSockets}, Registered players: ${registeredPlayers}`);
+            console.log(`[STATUS] Players:`);
+            Object.keys(players).forEach(id => {
+                const player = players[id];
+                if (player.fullyRegistered) {
+                    console.log(`  - ${player.name} (${id}): ${player.characterType} with ${player.swordType}`);
+                }
+            });
+        }
+    }, 30000); // Reduced from 5000ms to 30000ms (30 seconds)
+}
+
+// Get the simulation stats for a character type, defaulting to knight
+function getCharacterSimStats(characterType) {
+    return CHARACTER_SIM_STATS[characterType] || CHARACTER_SIM_STATS.knight;
+}
+
+// Get a player's simulation stats - their character's, scaled by any per-player
+// statScale ({ health, speed, damage, armor }, e.g. wave enemy traits)
+function getPlayerSimStats(player) {
+    const stats = getCharacterSimStats(player.characterType);
+    const scale = player.statScale || {};
+    // A speed power-up stacks on top of any statScale
+    const speedScale = (scale.speed || 1) * getPowerUpScale(player, 'speed');
+    if (!player.statScale && speedScale === 1) return stats;
+    return {
+        ...stats,
+        maxHealth: Math.round(stats.maxHealth * (scale.health || 1)),
+        moveSpeed: stats.moveSpeed * speedScale,
+        sprintSpeed: stats.sprintSpeed * speedScale
+    };
+}
+
+// Damage multiplier from statScale and power-ups - the attacker's damage times the target's armor
+function getDamageScale(attacker, target) {
+    const damage = ((attacker.statScale && attacker.statScale.damage) || 1) * getPowerUpScale(attacker, 'power');
+    const armor = (target.statScale && target.statScale.armor) || 1;
+    return damage * armor;
+}
+
+// Keep a position inside the playable area (same margin the client uses)
+function clampToMapBounds(position, map = gameMap) {
+    const limit = map.size / 2 - 2;
+    return {
+        x: Math.max(-limit, Math.min(limit, position.x)),
+        y: position.y,
+        z: Math.max(-limit, Math.min(limit, position.z))
+    };
+}
+
+// Check whether a position is inside one of the boundary walls
+function collidesWithWalls(position, map = gameMap) {
+    return map.terrain.walls.some(wall => {
+        const halfX = wall.size[0] / 2 + PLAYER_COLLISION_RADIUS;
+        const halfZ = wall.size[2] / 2 + PLAYER_COLLISION_RADIUS;
+        return Math.abs(position.x - wall.pos[0]) < halfX && Math.abs(position.z - wall.pos[2]) < halfZ;
+    });
+}
+
+// Check a reported position against the map size, the walls and the character's top speed
+// Returns { position, violation } - position is what the server accepts (or rubber-bands to)
+function validateMovement(player, position, now) {
+    const stats = getPlayerSimStats(player);
+    const from = player.pendingPosition || player.position;
+
+    // Outside the map - keep the player on the edge
+    const map = getPlayerMap(player);
+    let target = clampToMapBounds(position, map);
+    let violation = null;
+    if (Math.abs(target.x - position.x) > 0.5 || Math.abs(target.z - position.z) > 0.5) {
+        violation = 'out_of_bounds';
+    } else {
+        target = position;
+    }
+
+    // Walking into a wall - send them back
+    if (collidesWithWalls(target, map)) {
+        return { position: from, violation: 'wall' };
+    }
+
+    // Further than the character could have sprinted since the last accepted update
+    const elapsed = Math.min((now - (player.lastMoveValidatedAt || player.joinedAt || now)) / 1000, 1);
+    const maxDistance = stats.sprintSpeed * MOVEMENT_SPEED_TOLERANCE * elapsed + MOVEMENT_SLACK;
+    const dx = target.x - from.x;
+    const dz = target.z - from.z;
+    const distance = Math.sqrt(dx * dx + dz * dz);
+    if (distance > maxDistance) {
+        return { position: from, violation: distance > maxDistance * TELEPORT_FACTOR ? 'teleport' : 'speed' };
+    }
+
+    return { position: target, violation: violation };
+}
+
+// Record a movement violation - returns true if the player was kicked
+function addMovementStrike(socket, player, violation) {
+    const now = Date.now();
+
+    // Forgive one strike for every clean STRIKE_DECAY_MS
+    if (player.lastStrikeAt) {
+        const forgiven = Math.floor((now - player.lastStrikeAt) / STRIKE_DECAY_MS);
+        player.movementStrikes = Math.max(0, (player.movementStrikes || 0) - forgiven);
+    }
+    player.movementStrikes = (player.movementStrikes || 0) + 1;
+    player.lastStrikeAt = now;
+
+    debugLog(`[ANTICHEAT] ${player.name} (${player.id}) movement violation: ${violation} (strike ${player.movementStrikes}/${MAX_MOVEMENT_STRIKES})`);
+
+    // Repeat offender - kick them
+    if (player.movementStrikes >= MAX_MOVEMENT_STRIKES) {
+        console.log(`[ANTICHEAT] Kicking ${player.name} (${player.id}) for repeated movement violations`);
+        socket.emit('kicked', { reason: 'movement_violation' });
+        socket.disconnect(true);
+        return true;
+    }
+    return false;
+}
+
+// Check whether a position overlaps a hill or rock (same radii the client collides with)
+function collidesWithTerrain(position, map = gameMap) {
+    for (const hill of map.terrain.hills) {
+        const dx = position.x - hill.position.x;
+        const dz = position.z - hill.position.z;
+        if (Math.sqrt(dx * dx + dz * dz) < PLAYER_COLLISION_RADIUS + GameDefinitions.getTerrainCollisionRadius('hill', hill.radius)) return true;
+    }
+    for (const rock of map.terrain.rocks) {
+        const dx = position.x - rock.position.x;
+        const dz = position.z - rock.position.z;
+        if (Math.sqrt(dx * dx + dz * dz) < PLAYER_COLLISION_RADIUS + GameDefinitions.getTerrainCollisionRadius('rock', rock.radius)) return true;
+    }
+    return false;
+}
+
+// Validate and start an attack - returns an attackRejected reason code, or null if the attack was queued
+// attackClock is in seconds; input-driven attacks use the player's input clock so
+// network jitter between commands doesn't trip the cooldown
+function tryStartAttack(player, data, now, attackClock = now / 1000) {
+    // Dead players can't attack
+    if (player.health <= 0) return 'player_dead';
+
+    // The sword must be one this character can carry
+    if (data?.swordType !== undefined && data?.swordType !== null) {
+        if (typeof data.swordType !== 'string' || !GameDefinitions.isSwordAllowed(player.characterType, data.swordType)) {
+            return 'invalid_weapon';
+        }
+        if (data.swordType !== player.swordType) {
+            player.swordType = data.swordType;
+            debugLog(`[SERVER] Player ${player.id} switched sword to ${data.swordType}`);
+        }
+    }
+
+    // Enforce the character and weapon cooldown
+    const cooldown = GameDefinitions.getAttackCooldown(player.characterType, player.swordType);
+    if (attackClock - player.lastAttackClock < cooldown - ATTACK_COOLDOWN_TOLERANCE) {
+        return 'cooldown';
+    }
+
+    // Start the swing - the tick ends it after ATTACK_DURATION
+    player.isAttacking = true;
+    player.isBlocking = false;
+    player.lastAttackClock = attackClock;
+    player.attackEndsAt = now + ATTACK_DURATION;
+    player.stamina = Math.max(0, player.stamina - GameDefinitions.getAttackStaminaCost(player.swordType));
+
+    // Queue the attack for resolution on this or the next tick
+    pendingAttacks.push({
+        attackerId: player.id,
+        data: data || {},
+        receivedAt: now,
+        clientTimestamp: Number(data?.timestamp),
+        viewDelay: data?.viewDelay
+    });
+    return null;
+}
+
+// Switch a player over to input commands. Input attacks are timed on the input clock -
+// forget any wall-clock swing from the playerAttack event so the two clocks never mix
+function startInputCommands(player) {
+    if (!player.usesInputs) {
+        player.lastAttackClock = -Infinity;
+    }
+    player.usesInputs = true;
+}
+
+// Apply one input command to a player
+// The client runs the same movement rules (MultiplayerManager.applyInputToState) to predict
+function applyPlayerInput(player, input, stats, now) {
+    const dt = input.dt;
+    player.inputClock += dt;
+
+    // Facing follows the camera yaw; the mesh is turned around to face forward
+    player.yaw = input.yaw;
+    player.rotation = input.yaw + Math.PI;
+
+    // Raising the guard needs some stamina, releasing the key drops it
+    if (!input.block) {
+        player.isBlocking = false;
+    } else if (!player.isBlocking && !player.isAttacking && player.stamina > BLOCK_MIN_STAMINA) {
+        player.isBlocking = true;
+    }
+
+    // Camera-relative movement basis
+    const forwardX = -Math.sin(input.yaw);
+    const forwardZ = -Math.cos(input.yaw);
+    const rightX = Math.cos(input.yaw);
+    const rightZ = -Math.sin(input.yaw);
+
+    let moveX = 0;
+    let moveZ = 0;
+    if (input.forward) { moveX += forwardX; moveZ += forwardZ; }
+    if (input.backward) { moveX -= forwardX; moveZ -= forwardZ; }
+    if (input.left) { moveX -= rightX; moveZ -= rightZ; }
+    if (input.right) { moveX += rightX; moveZ += rightZ; }
+
+    // Normalize so diagonal movement isn't faster
+    const length = Math.sqrt(moveX * moveX + moveZ * moveZ);
+    const isMoving = length > 0.0001;
+    player.isSprinting = isMoving && input.sprint && player.stamina > 0;
+
+    if (isMoving) {
+        const speed = player.isSprinting ? stats.sprintSpeed : stats.moveSpeed;
+        const map = getPlayerMap(player);
+        const next = clampToMapBounds({
+            x: player.position.x + (moveX / length) * speed * dt,
+            y: player.position.y,
+            z: player.position.z + (moveZ / length) * speed * dt
+        }, map);
+        // Blocked by terrain - stay put for this step
+        if (!collidesWithTerrain(next, map)) {
+            player.position = next;
+        }
+    }
+
+    // Stamina: sprinting and blocking drain it, otherwise it regenerates
+    if (player.isSprinting) {
+        player.stamina -= stats.staminaSprintCost * dt;
+    } else if (player.isBlocking) {
+        player.stamina -= BLOCK_STAMINA_DRAIN * dt;
+    } else {
+        player.stamina += stats.staminaRegenRate * dt;
+    }
+    player.stamina = Math.max(0, Math.min(stats.staminaMax, player.stamina));
+
+    // Out of stamina - force stop blocking
+    if (player.stamina <= 0 && player.isBlocking) {
+        player.isBlocking = false;
+    }
+
+    // Attacks ride on the input stream so they line up with the movement around them
+    if (input.attack) {
+        const reason = tryStartAttack(player, {
+            swordType: input.swordType,
+            timestamp: input.timestamp,
+            viewDelay: input.viewDelay
+        }, now, player.inputClock);
+        if (reason) {
+            debugLog(`[ATTACK] Attack rejected for ${player.id}: ${reason}`);
+            io.to(player.id).emit('attackRejected', { reason: reason });
+        }
+    }
+}
+
+// Advance a single player's movement, stamina and attack timing by one tick
+function simulatePlayer(player, delta, now) {
+    const stats = getPlayerSimStats(player);
+
+    // Initialize simulation fields for records created before they existed
+    if (typeof player.stamina !== 'number') player.stamina = stats.staminaMax;
+
+    // Dead players don't move, attack or block until they respawn
+    if (player.health <= 0) {
+        player.isDead = true;
+        player.isAttacking = false;
+        player.isBlocking = false;
+        player.isSprinting = false;
+        player.pendingPosition = null;
+        // Acknowledge and drop anything sent while dead so the client stops replaying it
+        if (player.inputQueue && player.inputQueue.length > 0) {
+            player.lastProcessedInput = player.inputQueue[player.inputQueue.length - 1].seq;
+            player.inputQueue = [];
+        }
+        return;
+    }
+
+    if (player.usesInputs) {
+        // Input-driven client - replay its commands in order
+        player.inputQueue.forEach(input => applyPlayerInput(player, input, stats, now));
+        if (player.inputQueue.length > 0) {
+            player.lastProcessedInput = player.inputQueue[player.inputQueue.length - 1].seq;
+            player.inputQueue = [];
+        }
+    } else {
+        // Legacy client - apply the most recent movement reported since the last tick
+        let isMoving = false;
+        if (player.pendingPosition) {
+            const target = clampToMapBounds(player.pendingPosition, getPlayerMap(player));
+            const dx = target.x - player.position.x;
+            const dz = target.z - player.position.z;
+            const speed = Math.sqrt(dx * dx + dz * dz) / Math.max(delta, 0.001);
+
+            isMoving = speed > 0.01;
+            // Anything clearly faster than walking speed counts as sprinting
+            player.isSprinting = isMoving && speed > stats.moveSpeed * 1.1 && player.stamina > 0;
+            player.position = target;
+            player.pendingPosition = null;
+        } else {
+            player.isSprinting = false;
+        }
+
+        // Stamina: sprinting and blocking drain it, otherwise it regenerates
+        if (player.isSprinting) {
+            player.stamina -= stats.staminaSprintCost * delta;
+        } else if (player.isBlocking) {
+            player.stamina -= BLOCK_STAMINA_DRAIN * delta;
+        } else {
+            player.stamina += stats.staminaRegenRate * delta;
+        }
+        player.stamina = Math.max(0, Math.min(stats.staminaMax, player.stamina));
+
+        // Out of stamina - force stop blocking
+        if (player.stamina <= 0 && player.isBlocking) {
+            player.isBlocking = false;
+        }
+    }
+
+    // Finish the attack swing once its duration has elapsed
+    if (player.isAttacking && now >= player.attackEndsAt) {
+        player.isAttacking = false;
+    }
+}
+
+// Remember where a player was at this tick for lag-compensated hit tests
+function recordPositionHistory(player, now) {
+    if (!player.positionHistory) player.positionHistory = [];
+    player.positionHistory.push({ time: now, x: player.position.x, y: player.position.y, z: player.position.z });
+
+    // Drop samples older than the history window
+    while (player.positionHistory.length > 0 && now - player.positionHistory[0].time > POSITION_HISTORY_MS) {
+        player.positionHistory.shift();
+    }
+}
+
+// Get a player's position at an earlier server time, interpolating between ticks
+function getHistoricalPosition(player, time) {
+    const history = player.positionHistory;
+    if (!history || history.length === 0) return player.position;
+
+    // Outside the recorded range - use the nearest end
+    if (time <= history[0].time) return history[0];
+    if (time >= history[history.length - 1].time) return player.position;
+
+    for (let i = history.length - 1; i > 0; i--) {
+        const before = history[i - 1];
+        const after = history[i];
+        if (before.time <= time && time <= after.time) {
+            const t = (time - before.time) / Math.max(after.time - before.time, 1);
+            return {
+                x: before.x + (after.x - before.x) * t,
+                y: before.y + (after.y - before.y) * t,
+                z: before.z + (after.z - before.z) * t
+            };
+        }
+    }
+    return player.position;
+}
+
+// Work out which server time the attacker was looking at when they swung
+function getAttackRewindTime(attacker, attack, now) {
+    const rtt = attacker.rtt || 0;
+
+    // When the swing happened, in server time - prefer the client's own timestamp
+    let swingTime = attack.receivedAt - rtt / 2;
+    if (Number.isFinite(attack.clientTimestamp) && typeof attacker.clockOffset === 'number') {
+        swingTime = attack.clientTimestamp - attacker.clockOffset;
+    }
+
+    // Other players reached the attacker half an RTT late and were drawn with interpolation delay
+    const viewDelay = Math.max(0, Math.min(Number(attack.viewDelay) || 0, MAX_VIEW_DELAY_MS));
+    const perceivedTime = swingTime - rtt / 2 - viewDelay;
+
+    // Never rewind into the future or past the configured window
+    const rewind = Math.max(0, Math.min(now - perceivedTime, MAX_REWIND_MS));
+    return now - rewind;
+}
+
+// Measure a client's round-trip time and clock offset with an acknowledged probe
+function probeLatency(socket) {
+    const player = players[socket.id];
+    if (!player) return;
+
+    const sentAt = Date.now();
+    socket.timeout(LATENCY_PROBE_INTERVAL).emit('latencyProbe', { serverTime: sentAt }, (err, response) => {
+        if (err || !players[socket.id]) return;
+
+        const receivedAt = Date.now();
+        const rtt = receivedAt - sentAt;
+        // Smooth the samples so one slow packet doesn't skew hit tests
+        player.rtt = typeof player.rtt === 'number' ? player.rtt * 0.8 + rtt * 0.2 : rtt;
+
+        if (response && Number.isFinite(response.clientTime)) {
+            // Client clock minus server clock, assuming a symmetric route
+            const offset = response.clientTime - (sentAt + rtt / 2);
+            player.clockOffset = typeof player.clockOffset === 'number' ? player.clockOffset * 0.8 + offset * 0.2 : offset;
+        }
+    });
+}
+
+// Resolve a queued attack against the current server state
+function resolveAttack(attack) {
+    const attackerId = attack.attackerId;
+    const attacker = players[attackerId];
+    const data = attack.data;
+
+    // Attacker may have disconnected or died since the attack was queued
+    if (!attacker || attacker.health <= 0) {
+        debugLog(`[ATTACK] Dropping queued attack from ${attackerId}: attacker no longer able to attack`);
+        return;
+    }
+
+    // Everything about the swing comes from server state - client damage,
+    // direction and hit lists are ignored
+    const weapon = GameDefinitions.getSword(attacker.swordType);
+    const attackData = {
+        id: attackerId,
+        position: attacker.position,
+        // The mesh faces its rotation, so this is where the attacker is looking
+        direction: { x: Math.sin(attacker.rotation || 0), y: 0, z: Math.cos(attacker.rotation || 0) },
+        swordType: attacker.swordType || 'broadsword',
+        damage: weapon.damage,
+        hitPlayers: []
+    };
+
+    if (Array.isArray(data?.hitPlayers) && data.hitPlayers.length > 0) {
+        debugLog(`[ATTACK] Ignoring client-reported hit list from ${attackerId}`);
+    }
+
+    // Rewind targets to where the attacker saw them
+    const now = Date.now();
+    const rewindTime = getAttackRewindTime(attacker, attack, now);
+
+    // Only players in the attacker's room can be hit, and only while the room allows combat
+    const room = getPlayerRoom(attacker);
+    const mode = room ? ROOM_MODES[room.mode] : null;
+    const canHit = (target) => target.roomId === attacker.roomId &&
+        (!mode || !mode.canDamage || mode.canDamage(room, attacker, target));
+
+    // Get the effective hit range based on the sword type
+    const hitRange = weapon.range * 1.5; // INCREASED BY 50%
+    // Distance to each hit target at the rewound time - damage falloff uses it too
+    const hitDistances = {};
+
+    // Check for all players within range
+    for (const targetId in players) {
+        // Skip attacker
+        if (targetId === attackerId) continue;
+
+        // Skip players who aren't fully registered or are already dead
+        if (!players[targetId] || !players[targetId].fullyRegistered || players[targetId].health <= 0) continue;
+
+        // Skip players in other rooms or protected by the mode
+        if (!roomAllowsCombat(room) || !canHit(players[targetId])) continue;
+
+        // Get target player position at the attacker's perceived time
+        const targetPos = getHistoricalPosition(players[targetId], rewindTime);
+        const attackerPos = attackData.position;
+
+        // Calculate distance
+        const dx = targetPos.x - attackerPos.x;
+        const dz = targetPos.z - attackerPos.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        // Check if within hit range - USE A MORE GENEROUS RANGE
+        if (distance <= hitRange * 1.2) { // 20% extra range
+            // Direction to the target
+            const toTarget = { x: dx, z: dz };
+            if (distance > 0) {
+                toTarget.x /= distance;
+                toTarget.z /= distance;
+            }
+
+            // Calculate dot product (the attack direction is already normalized)
+            const dotProduct = attackData.direction.x * toTarget.x + attackData.direction.z * toTarget.z;
+
+            // MUCH more permissive angle threshold - 0.1 is almost 90 degrees to either side
+            if (dotProduct > 0.1) { // Was 0.3
+                attackData.hitPlayers.push(targetId);
+                hitDistances[targetId] = distance;
+            }
+        }
+    }
+
+    // Recorded before any damage - a killing blow can end the match and close the replay
+    recordReplayEvent(room, 'attack', { id: attackerId, swordType: attackData.swordType, hitPlayers: attackData.hitPlayers.slice() });
+    addCareerWeaponStat(attacker, 'weaponSwings', attackData.swordType);
+
+    // Process damage for hit players
+    if (attackData.hitPlayers.length > 0) {
+        // Apply damage to each hit player
+        attackData.hitPlayers.forEach(targetId => {
+            const target = players[targetId];
+            if (target && target.health > 0) {
+                // Calculate damage based on various factors
+                let damage = attackData.damage;
+
+                // Damage falloff at range (example: 20% less damage at max range), measured
+                // where the attacker saw the target
+                const rangeFactor = Math.max(0.8, 1 - (0.2 * (hitDistances[targetId] / weapon.range)));
+                damage = Math.max(1, Math.floor(damage * rangeFactor * getDamageScale(attacker, target)));
+
+                // Blocking reduces damage (the server owns the block state)
+                if (target.isBlocking) {
+                    damage = Math.max(1, Math.floor(damage * BLOCK_DAMAGE_FACTOR));
+                }
+
+                // Store the previous health for logging
+                const previousHealth = target.health;
+
+                // Apply damage, and credit what actually came off towards the attacker's match stats
+                const dealt = Math.min(damage, target.health);
+                target.health = Math.max(0, target.health - damage);
+                if (room && isScoredPlayer(attacker)) {
+                    getRoomScore(room, attacker).damage += dealt;
+                }
+                addCareerStats(attacker, { damageDealt: dealt });
+                addCareerStats(target, { damageTaken: dealt, blocks: target.isBlocking ? 1 : 0 });
+
+                debugLog(`[ATTACK] Player ${targetId} took ${damage} damage, health reduced from ${previousHealth} to ${target.health}`);
+
+                // Notify the hit player about damage taken
+                io.to(targetId).emit('playerDamaged', {
+                    id: targetId,
+                    attackerId: attackerId,
+                    amount: damage,
+                    swordType: attackData.swordType,
+                    health: target.health
+                });
+                recordReplayEvent(room, 'damage', {
+                    id: targetId,
+                    attackerId: attackerId,
+                    amount: damage,
+                    health: target.health,
+                    blocked: !!target.isBlocking
+                });
+
+                // Check if player was defeated
+                if (target.health <= 0) {
+                    debugLog(`[ATTACK] Player ${targetId} was defeated by ${attackerId}!`);
+
+                    target.isDead = true;
+                    target.lastAttackerId = attackerId;
+
+                    // Notify everyone in the room about the defeat
+                    io.to(attacker.roomId).emit('playerDefeated', {
+                        id: targetId,
+                        attackerId: attackerId
+                    });
+                    recordReplayEvent(room, 'defeat', { id: targetId, attackerId: attackerId, swordType: attackData.swordType });
+                    recordKill(room, target, attacker);
+                }
+            }
+        });
+    }
+
+    // Broadcast attack to the other players in the room
+    debugLog(`[ATTACK] Broadcasting attack to room ${attacker.roomId}`);
+    // Bots have no socket of their own, so everyone in the room gets theirs
+    const attackerSocket = io.sockets.sockets.get(attackerId);
+    (attackerSocket ? attackerSocket.to(attacker.roomId) : io.to(attacker.roomId)).emit('playerAttacked', attackData);
+}
+
+// Build the public state of a player for snapshots
+function buildPlayerSnapshot(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        characterType: player.characterType,
+        swordType: player.swordType,
+        position: player.position,
+        rotation: player.rotation,
+        isAttacking: !!player.isAttacking,
+        isBlocking: !!player.isBlocking,
+        isSprinting: !!player.isSprinting,
+        health: player.health,
+        stamina: Math.round(player.stamina || 0),
+        isDead: player.health <= 0,
+        lastAttackerId: player.lastAttackerId || null,
+        team: player.team || null,
+        carryingFlag: player.carryingFlag || null,
+        // Speed power-up - the owning client predicts with it
+        speedScale: getPowerUpScale(player, 'speed'),
+        // Last input command applied - the owning client replays anything newer
+        lastProcessedInput: player.lastProcessedInput || 0
+    };
+}
+
+// Send the authoritative state of every registered player to the clients in their room
+function broadcastSnapshot(now) {
+    for (const roomId in games) {
+        const snapshotPlayers = getRoomPlayers(games[roomId]).map(buildPlayerSnapshot);
+
+        // Matches in progress also go into their replay
+        if (games[roomId].replay && serverTick % REPLAY_SNAPSHOT_TICKS === 0) {
+            recordReplaySnapshot(games[roomId], now);
+        }
+
+        // Nothing to send if nobody is playing here
+        if (snapshotPlayers.length === 0) continue;
+
+        io.to(roomId).emit('snapshot', {
+            tick: serverTick,
+            serverTime: now,
+            players: snapshotPlayers
+        });
     }
 }
 
-// Run cleanup every 15 seconds
-setInterval(() => {
-    cleanupGhostPlayers();
-    
-    // Also periodically broadcast player positions to help with synchronization
-    for (const id in players) {
-        if (players[id].fullyRegistered && players[id].position) {
-            const updateId = Date.now().toString() + Math.random().toString(36).substring(2, 5);
-            
-            // Broadcast to everyone except the player
-            io.sockets.sockets.get(id)?.broadcast.emit('playerUpdated', {
-                id: id,
-                name: players[id].name,
-                characterType: players[id].characterType,
-                position: players[id].position,
-                rotation: players[id].rotation,
-                isAttacking: players[id].isAttacking,
-                isBlocking: players[id].isBlocking,
-                swordType: players[id].swordType,
-                health: players[id].health,
-                updateId: updateId,
-                isForcedSync: true
-            });
-        }
-    }
-}, 15000);
+// Fixed-rate server tick - the server owns movement, stamina, attack timing and health
+function runSimulationTick() {
+    const now = Date.now();
+    // Clamp the step so a stalled event loop doesn't cause huge jumps
+    const delta = Math.min((now - lastTickTime) / 1000, 0.25);
+    lastTickTime = now;
+    serverTick++;
 
-// Add interval to log player count - reduced frequency
-setInterval(() => {
-    const connectedSockets = Object.keys(io.sockets.sockets).length;
-    const registeredPlayers = Object.keys(players).filter(id => players[id].fullyRegistered).length;
-    
-    // Only log if there are actually players connected
-    if (registeredPlayers > 0) {
-        console.log(`\n[STATUS] Connected clients: ${connectedSockets}, Registered players: ${registeredPlayers}`);
-        console.log(`[STATUS] Players:`);
-        Object.keys(players).forEach(id => {
-            const player = players[id];
-            if (player.fullyRegistered) {
-                console.log(`  - ${player.name} (${id}): ${player.characterType} with ${player.swordType}`);
+    try {
+        // Bots decide their input commands before anyone is simulated
+        updateBots(delta, now);
+
+        // Simulate all registered players
+        for (const id in players) {
+            if (players[id].fullyRegistered) {
+                simulatePlayer(players[id], delta, now);
+                recordPositionHistory(players[id], now);
             }
-        });
+        }
+
+        // Resolve attacks in the order they were received
+        while (pendingAttacks.length > 0) {
+            resolveAttack(pendingAttacks.shift());
+        }
+
+        // Advance match lifecycles (countdowns, time limits, empty room cleanup)
+        for (const roomId in games) {
+            updateRoomLifecycle(games[roomId], delta, now);
+            // The lifecycle update closes empty rooms
+            if (!games[roomId]) continue;
+            updatePowerUps(games[roomId], now);
+        }
+        expireDuelChallenges(now);
+
+        // Send the resulting state to everyone
+        broadcastSnapshot(now);
+    } catch (error) {
+        console.error(`[TICK] Error during simulation tick ${serverTick}: ${error.message}`);
+        console.error(error.stack);
     }
-}, 30000); // Reduced from 5000ms to 30000ms (30 seconds)
+}
+
+if (RUN_AS_SERVER) {
+    // Start the simulation loop
+    setInterval(runSimulationTick, TICK_INTERVAL);
+    console.log(`[TICK] Server simulation running at ${TICK_RATE} Hz`);
+
+    // Scoreboards go out on their own, slower timer
+    setInterval(broadcastScoreboards, SCOREBOARD_INTERVAL);
+}
+
+// Create the basic record for a connected player, in the open arena but not yet registered
+function createPlayerRecord(socket) {
+    players[socket.id] = {
+        id: socket.id,
+        name: `Player_${socket.id.substring(0, 5)}`,
+        account: socket.data.account, // Lowercase username when logged in, null for guests
+        joinedAt: Date.now(),
+        fullyRegistered: false,
+        characterType: 'knight', // Default character
+        position: { x: 0, y: 0, z: 0 },
+        rotation: 0,
+        health: getCharacterSimStats('knight').maxHealth,
+        stamina: getCharacterSimStats('knight').staminaMax,
+        isDead: false,
+        isAttacking: false,
+        isBlocking: false,
+        isSprinting: false,
+        lastAttackClock: -Infinity, // Server-side attack timing (seconds)
+        attackEndsAt: 0,
+        pendingPosition: null, // Latest client movement, applied on the next tick
+        usesInputs: false, // Set once the client sends input commands instead of positions
+        inputQueue: [], // Input commands waiting for the next tick
+        inputClock: 0, // Sum of processed input durations (seconds)
+        lastQueuedInput: 0,
+        lastProcessedInput: 0,
+        socketId: socket.id, // Track socket ID explicitly
+        roomId: DEFAULT_ROOM_ID, // Match room - everyone starts in the open arena
+        lastActivity: Date.now() // Track last activity 
+    };
+    games[DEFAULT_ROOM_ID].players.add(socket.id);
+    socket.join(DEFAULT_ROOM_ID);
+}
 
 // Handle Socket.io connections
 io.on('connection', (socket) => {
@@ -318,18 +4035,11 @@ io.on('connection', (socket) => {
     });
     
     // Create a basic player record immediately on connection
-    players[socket.id] = {
-        id: socket.id,
-        name: `Player_${socket.id.substring(0, 5)}`,
-        joinedAt: Date.now(),
-        fullyRegistered: false,
-        characterType: 'knight', // Default character
-        position: { x: 0, y: 0, z: 0 },
-        rotation: 0,
-        health: 100,
-        socketId: socket.id, // Track socket ID explicitly
-        lastActivity: Date.now() // Track last activity 
-    };
+    createPlayerRecord(socket);
+    
+    // Measure latency regularly for lag compensation
+    probeLatency(socket);
+    const latencyProbeInterval = setInterval(() => probeLatency(socket), LATENCY_PROBE_INTERVAL);
     
     // Handle test events from client
     socket.on('test', (data) => {
@@ -357,7 +4067,7 @@ io.on('connection', (socket) => {
     // Log all socket events (for debugging)
     const originalOn = socket.on;
     socket.on = function(event, callback) {
-        if (event !== 'ping' && event !== 'pong') { // Skip logging frequent ping/pong events
+        if (event !== 'ping' && event !== 'pong' && event !== 'playerInput') { // Skip logging frequent ping/pong and input events
             const wrappedCallback = function(...args) {
                 console.log(`\n[EVENT] Client ${socket.id} emitted '${event}' with data:`, args[0]);
                 return callback.apply(this, args);
@@ -378,6 +4088,13 @@ io.on('connection', (socket) => {
         console.log(`Initial Position:`, playerData.position);
         console.log(`Session ID:`, playerData.sessionId || 'Not provided');
         
+        // Spectators stop watching and join the open arena as a player
+        if (spectators[socket.id]) {
+            stopSpectating(socket);
+            createPlayerRecord(socket);
+            socket.emit('mapData', games[DEFAULT_ROOM_ID].map);
+        }
+        
         // Track session if provided
         if (playerData.sessionId) {
             activeSessions.add(playerData.sessionId);
@@ -385,15 +4102,9 @@ io.on('connection', (socket) => {
             console.log(`[SESSION] Total active sessions: ${activeSessions.size}`);
         }
         
-        // Validate and sanitize player name
-        let playerName = playerData.name;
-        if (!playerName || playerName.trim() === '') {
-            playerName = `Player_${socket.id.substring(0, 5)}`;
-            console.log(`Using default name for player ${socket.id} because name was empty or invalid`);
-        } else {
-            playerName = playerName.trim();
-            console.log(`Using provided name '${playerName}' for player ${socket.id}`);
-        }
+        // Validate and sanitize player name - logged-in players always use their username
+        const playerName = resolvePlayerName(socket, playerData.name, `Player_${socket.id.substring(0, 5)}`);
+        console.log(`Using name '${playerName}' for player ${socket.id}`);
         
         // Check if this is a name change
         let isNameChange = false;
@@ -402,40 +4113,59 @@ io.on('connection', (socket) => {
             isNameChange = true;
         }
         
+        // Only known characters, carrying one of their own swords
+        const characterType = CHARACTER_SIM_STATS[playerData.characterType] ? playerData.characterType : 'knight';
+        const swordType = GameDefinitions.isSwordAllowed(characterType, playerData.swordType) ?
+            playerData.swordType : GameDefinitions.getCharacter(characterType).swords[0];
+        
+        // Re-registering from the same socket keeps the server's position (e.g. a room spawn)
+        const wasRegistered = !!players[socket.id].fullyRegistered;
+        
         // Update existing player data
         players[socket.id] = {
             ...players[socket.id],
             id: socket.id,
             name: playerName,
-            characterType: playerData.characterType || 'knight',
-            swordType: playerData.swordType || 'broadsword',
+            characterType: characterType,
+            swordType: swordType,
+            health: Math.min(players[socket.id].health, getCharacterSimStats(characterType).maxHealth),
             fullyRegistered: true,
             autoRegistered: false,
             explicitlyRegistered: true,
             lastActivity: Date.now(),
+            playtimeCountedAt: players[socket.id].playtimeCountedAt || Date.now(), // Career playtime runs from the first join
             socketId: socket.id, // Ensure socket ID is explicitly tracked
             sessionId: playerData.sessionId || null // Track client session ID
         };
         
-        // Update position if provided
-        if (playerData.position && typeof playerData.position === 'object') {
-            // Validate position data to prevent NaN or undefined values
-            players[socket.id].position = {
-                x: typeof playerData.position.x === 'number' ? playerData.position.x : 0,
-                y: typeof playerData.position.y === 'number' ? playerData.position.y : 0,
-                z: typeof playerData.position.z === 'number' ? playerData.position.z : 0
-            };
-            console.log(`Updated player position:`, players[socket.id].position);
+        // The server picks the first spawn point - the client's position would skip the
+        // bounds and terrain checks movement goes through
+        const room = getPlayerRoom(players[socket.id]);
+        if (!wasRegistered) {
+            const position = room ? getSpawnPosition(room, players[socket.id]) :
+                findSpawnPosition(getPlayerMap(players[socket.id]));
+            resetPlayerForSpawn(players[socket.id], position);
+            socket.emit('syncPosition', {
+                id: socket.id,
+                position: players[socket.id].position,
+                reason: 'spawn'
+            });
+            console.log(`Spawned player at position:`, players[socket.id].position);
+        }
+        
+        // Keep the room scoreboard name in sync
+        if (room) {
+            getRoomScore(room, players[socket.id]);
         }
         
-        // Notify all other clients about this player joining
+        // Notify the other clients in the room about this player joining
         console.log(`Broadcasting playerJoined event for ${socket.id} (${players[socket.id].name})`);
-        socket.broadcast.emit('playerJoined', players[socket.id]);
+        socket.to(players[socket.id].roomId).emit('playerJoined', players[socket.id]);
         
         // Also send playerUpdated event if this is a name change
         if (isNameChange) {
             console.log(`Broadcasting playerUpdated event for name change to '${playerName}'`);
-            socket.broadcast.emit('playerUpdated', {
+            socket.to(players[socket.id].roomId).emit('playerUpdated', {
                 id: socket.id,
                 name: playerName,
                 characterType: players[socket.id].characterType,
@@ -498,7 +4228,7 @@ io.on('connection', (socket) => {
     // Handle request for map data
     socket.on('requestMapData', () => {
         console.log(`Player ${socket.id} requested map data`);
-        socket.emit('mapData', gameMap);
+        socket.emit('mapData', getPlayerMap(players[socket.id]));
     });
     
     // Handle ping requests (for testing connection)
@@ -539,27 +4269,53 @@ io.on('connection', (socket) => {
         players[socket.id].lastActivity = Date.now();
         
         // Validate position data to prevent errors
-        if (data.position && typeof data.position === 'object') {
+        // Input-driven clients are moved by the simulation, so their reported position is ignored
+        if (data.position && typeof data.position === 'object' && !players[socket.id].usesInputs) {
             const isValidX = typeof data.position.x === 'number' && !isNaN(data.position.x) && isFinite(data.position.x);
             const isValidY = typeof data.position.y === 'number' && !isNaN(data.position.y) && isFinite(data.position.y);
             const isValidZ = typeof data.position.z === 'number' && !isNaN(data.position.z) && isFinite(data.position.z);
             
             if (isValidX && isValidY && isValidZ) {
+                const player = players[socket.id];
+                const now = Date.now();
+                
                 // Calculate the movement delta for conditional logging
                 let delta = 0;
-                if (players[socket.id].position) {
-                    const dx = data.position.x - players[socket.id].position.x;
-                    const dy = data.position.y - players[socket.id].position.y;
-                    const dz = data.position.z - players[socket.id].position.z;
+                if (player.position) {
+                    const dx = data.position.x - player.position.x;
+                    const dy = data.position.y - player.position.y;
+                    const dz = data.position.z - player.position.z;
                     delta = Math.sqrt(dx*dx + dy*dy + dz*dz);
                 }
                 
-                // Update player position
-                players[socket.id].position = {
-                    x: data.position.x,
-                    y: data.position.y, 
-                    z: data.position.z
-                };
+                // Check speed, walls and map bounds before accepting the move
+                const validation = validateMovement(player, data.position, now);
+                if (!validation.violation) {
+                    player.syncPendingUntil = 0;
+                    player.lastMoveValidatedAt = now;
+                    
+                    // Queue the position - the simulation tick applies it
+                    player.pendingPosition = {
+                        x: data.position.x,
+                        y: data.position.y, 
+                        z: data.position.z
+                    };
+                } else if (!player.syncPendingUntil || now >= player.syncPendingUntil) {
+                    // (Updates already in flight right after a rubber-band are dropped without a strike)
+                    if (addMovementStrike(socket, player, validation.violation)) {
+                        return;
+                    }
+                    
+                    // Rubber-band the client to the position the server accepted
+                    player.pendingPosition = { x: validation.position.x, y: validation.position.y, z: validation.position.z };
+                    player.lastMoveValidatedAt = now;
+                    player.syncPendingUntil = now + SYNC_GRACE_PERIOD;
+                    socket.emit('syncPosition', {
+                        id: socket.id,
+                        position: player.pendingPosition,
+                        reason: validation.violation
+                    });
+                }
                 
                 // Only log significant movements or test movements
                 if (data.isTestMovement && Math.random() < 0.1) { // Only log 10% of test movements
@@ -576,324 +4332,183 @@ io.on('connection', (socket) => {
         // Handle non-position data (collected first but processed later)
         let updatedFields = false;
         
-        // Update rotation if valid
-        if (typeof data.rotation === 'number' && !isNaN(data.rotation) && isFinite(data.rotation)) {
+        // Update rotation if valid (input-driven clients get it from their yaw)
+        if (typeof data.rotation === 'number' && !isNaN(data.rotation) && isFinite(data.rotation) && !players[socket.id].usesInputs) {
             players[socket.id].rotation = data.rotation;
             updatedFields = true;
         }
         
-        // Update attack state
-        if (typeof data.isAttacking === 'boolean') {
-            players[socket.id].isAttacking = data.isAttacking;
-            updatedFields = true;
-        }
+        // Attack state is owned by the server tick (set when playerAttack is accepted)
         
-        // Update blocking state
-        if (typeof data.isBlocking === 'boolean') {
-            players[socket.id].isBlocking = data.isBlocking;
+        // Update blocking state - dead or exhausted players can't block
+        if (typeof data.isBlocking === 'boolean' && !players[socket.id].usesInputs) {
+            const canBlock = players[socket.id].health > 0 && players[socket.id].stamina > 0;
+            players[socket.id].isBlocking = data.isBlocking && canBlock;
             updatedFields = true;
         }
         
-        // Update sword type
-        if (data.swordType && typeof data.swordType === 'string') {
-            players[socket.id].swordType = data.swordType;
-            updatedFields = true;
+        // Update sword type - only swords this character can carry
+        if (data.swordType && typeof data.swordType === 'string' && data.swordType !== players[socket.id].swordType) {
+            if (GameDefinitions.isSwordAllowed(players[socket.id].characterType, data.swordType)) {
+                players[socket.id].swordType = data.swordType;
+                updatedFields = true;
+            } else {
+                debugLog(`Rejected sword '${data.swordType}' for ${players[socket.id].characterType} ${socket.id}`);
+            }
         }
         
         // Update player name if provided
         if (data.name && typeof data.name === 'string' && data.name.trim() !== '') {
+            const name = resolvePlayerName(socket, data.name, players[socket.id].name);
             // Only update if name changed
-            if (players[socket.id].name !== data.name) {
-                console.log(`Player ${socket.id} name changed from '${players[socket.id].name}' to '${data.name}'`);
-                players[socket.id].name = data.name;
+            if (players[socket.id].name !== name) {
+                console.log(`Player ${socket.id} name changed from '${players[socket.id].name}' to '${name}'`);
+                players[socket.id].name = name;
                 updatedFields = true;
             }
         }
         
         // Update character type if provided
-        if (data.characterType && typeof data.characterType === 'string') {
+        if (data.characterType && typeof data.characterType === 'string' && CHARACTER_SIM_STATS[data.characterType]) {
             // Only update if character type changed
             if (players[socket.id].characterType !== data.characterType) {
                 console.log(`Player ${socket.id} character type changed from '${players[socket.id].characterType}' to '${data.characterType}'`);
                 players[socket.id].characterType = data.characterType;
+                // Swap to a sword the new character can carry
+                if (!GameDefinitions.isSwordAllowed(data.characterType, players[socket.id].swordType)) {
+                    players[socket.id].swordType = GameDefinitions.getCharacter(data.characterType).swords[0];
+                }
+                // Health can't exceed the new character's maximum
+                players[socket.id].health = Math.min(players[socket.id].health, getCharacterSimStats(data.characterType).maxHealth);
                 updatedFields = true;
             }
         }
         
-        // Create a timestamp to ensure unique updates
-        const updateId = Date.now().toString() + Math.random().toString(36).substring(2, 7);
+        // No relay here - the next simulation tick broadcasts the authoritative snapshot
+    });
+    
+    // Handle sequenced input commands - queued here, simulated on the next tick
+    socket.on('playerInput', (input) => {
+        const player = players[socket.id];
+        if (!player || !player.fullyRegistered || !input || typeof input !== 'object') return;
         
-        // OPTIMIZATION: Prioritize position updates by sending immediately
-        // Broadcast player update to all other players
-        socket.broadcast.emit('playerUpdated', {
-            id: socket.id,
-            name: players[socket.id].name,
-            characterType: players[socket.id].characterType,
-            position: players[socket.id].position,
-            rotation: players[socket.id].rotation,
-            isAttacking: players[socket.id].isAttacking,
-            isBlocking: players[socket.id].isBlocking,
-            swordType: players[socket.id].swordType,
-            health: players[socket.id].health,
-            updateId: updateId, // Ensure each update is treated as unique
-            timestamp: Date.now() // Add server timestamp for latency calculation
+        // Track the last activity time for ghost detection
+        player.lastActivity = Date.now();
+        
+        // Sequence numbers must increase - drop duplicates and out-of-order packets
+        if (!Number.isInteger(input.seq) || input.seq <= player.lastQueuedInput) return;
+        
+        // Reject malformed commands
+        const dt = Number(input.dt);
+        if (!isFinite(dt) || dt <= 0 || typeof input.yaw !== 'number' || !isFinite(input.yaw)) {
+            debugLog(`[INPUT] Invalid input command from ${socket.id}:`, input);
+            return;
+        }
+        
+        // Inputs can't cover more time than has actually passed (speed hack protection)
+        const now = Date.now();
+        const elapsed = player.lastInputReceivedAt ? (now - player.lastInputReceivedAt) / 1000 : dt;
+        player.lastInputReceivedAt = now;
+        player.inputTimeBudget = Math.min((player.inputTimeBudget || 0) + elapsed, MAX_INPUT_TIME_BUDGET);
+        let allowedDt = Math.min(dt, MAX_INPUT_DT);
+        if (allowedDt > player.inputTimeBudget + 0.05) {
+            if (addMovementStrike(socket, player, 'input_speed')) return;
+            allowedDt = Math.max(0, player.inputTimeBudget);
+        }
+        player.inputTimeBudget -= allowedDt;
+        
+        startInputCommands(player);
+        player.lastQueuedInput = input.seq;
+        player.inputQueue.push({
+            seq: input.seq,
+            dt: allowedDt,
+            forward: input.forward === true,
+            backward: input.backward === true,
+            left: input.left === true,
+            right: input.right === true,
+            sprint: input.sprint === true,
+            block: input.block === true,
+            yaw: input.yaw,
+            attack: input.attack === true,
+            swordType: typeof input.swordType === 'string' ? input.swordType : null,
+            timestamp: Number.isFinite(input.timestamp) ? input.timestamp : null,
+            viewDelay: Number.isFinite(input.viewDelay) ? input.viewDelay : 0
         });
+        
+        // Bound the queue so a flooding client can't stall the tick
+        if (player.inputQueue.length > MAX_QUEUED_INPUTS) {
+            player.inputQueue.shift();
+        }
     });
     
-    // Handle player attacks
+    // Handle player attacks - validated here, resolved on the next simulation tick
     socket.on('playerAttack', (data) => {
         try {
-            console.log(`\n[ATTACK] Player ${socket.id} attacked`, {
+            debugLog(`\n[ATTACK] Player ${socket.id} attacked`, {
                 position: data?.position,
                 direction: data?.direction,
                 swordType: data?.swordType
             });
             
             // Get current player data from the players object
-            const currentPlayerData = players[socket.id] || {};
-            
-            // Check if player is dead - if so, reject the attack
-            if (currentPlayerData.health <= 0) {
-                console.log(`[ATTACK] Attack rejected: Player ${socket.id} is dead and cannot attack`);
-                socket.emit('attackRejected', { reason: 'player_dead' });
+            const currentPlayerData = players[socket.id];
+            if (!currentPlayerData || !currentPlayerData.fullyRegistered) {
+                debugLog(`[ATTACK] Attack rejected: Player ${socket.id} is not registered`);
                 return;
             }
             
-            // Check if data is null or undefined and construct attack data with fallbacks
-            const attackData = {
-                id: socket.id,
-                // Use default values or current player data if data is null
-                position: data?.position || currentPlayerData?.position || { x: 0, y: 0, z: 0 },
-                direction: data?.direction || currentPlayerData?.direction || { x: 0, y: 0, z: 1 },
-                swordType: data?.swordType || currentPlayerData?.swordType || 'broadsword',
-                damage: data?.damage || calculateDamageFromSwordType(data?.swordType || currentPlayerData?.swordType),
-                hitPlayers: Array.isArray(data?.hitPlayers) ? data.hitPlayers : []
-            };
-            
-            // Store the sword type for future reference if it changed
-            if (attackData.swordType && players[socket.id] && 
-                attackData.swordType !== players[socket.id].swordType) {
-                players[socket.id].swordType = attackData.swordType;
-                console.log(`[SERVER] Player ${socket.id} switched sword to ${attackData.swordType}`);
-            }
-            
-            // If the client didn't supply hit players, calculate them server-side
-            if (attackData.hitPlayers.length === 0) {
-                console.log(`[ATTACK] No hit players provided by client, calculating server-side`);
-                
-                // Get the effective hit range based on the sword type
-                const hitRange = getSwordHitRange(attackData.swordType) * 1.5; // INCREASED BY 50%
-                console.log(`[ATTACK] Sword type: ${attackData.swordType}, Hit range: ${hitRange}`);
-                
-                // Check for all players within range
-                for (const targetId in players) {
-                    // Skip attacker
-                    if (targetId === socket.id) continue;
-                    
-                    // Skip players who aren't fully registered
-                    if (!players[targetId] || !players[targetId].fullyRegistered) continue;
-                    
-                    // Get target player position
-                    const targetPos = players[targetId].position;
-                    const attackerPos = attackData.position;
-                    
-                    // Calculate distance
-                    const dx = targetPos.x - attackerPos.x;
-                    const dz = targetPos.z - attackerPos.z;
-                    const distance = Math.sqrt(dx * dx + dz * dz);
-                    
-                    console.log(`[ATTACK] Distance to player ${targetId}: ${distance.toFixed(2)} units (hit range: ${hitRange})`);
-                    
-                    // Check if within hit range - USE A MORE GENEROUS RANGE
-                    if (distance <= hitRange * 1.2) { // 20% extra range
-                        // Check if target is in the direction of the attack
-                        const attackDirection = attackData.direction;
-                        
-                        // Normalize direction vectors
-                        const dirMagnitude = Math.sqrt(attackDirection.x * attackDirection.x + attackDirection.z * attackDirection.z);
-                        const normalizedDirection = {
-                            x: attackDirection.x / dirMagnitude,
-                            z: attackDirection.z / dirMagnitude
-                        };
-                        
-                        // Calculate vector to target
-                        const toTarget = {
-                            x: dx,
-                            z: dz
-                        };
-                        
-                        // Normalize to target vector
-                        const targetMagnitude = Math.sqrt(toTarget.x * toTarget.x + toTarget.z * toTarget.z);
-                        if (targetMagnitude > 0) {
-                            toTarget.x /= targetMagnitude;
-                            toTarget.z /= targetMagnitude;
-                        }
-                        
-                        // Calculate dot product
-                        const dotProduct = normalizedDirection.x * toTarget.x + normalizedDirection.z * toTarget.z;
-                        
-                        console.log(`[ATTACK] Dot product with player ${targetId}: ${dotProduct.toFixed(2)}`);
-                        
-                        // MUCH more permissive angle threshold - 0.1 is almost 90 degrees to either side
-                        if (dotProduct > 0.1) { // Was 0.3
-                            attackData.hitPlayers.push(targetId);
-                            console.log(`[ATTACK] Player ${socket.id} hit player ${targetId} with ${attackData.swordType}!`);
-                        } else {
-                            console.log(`[ATTACK] Player ${targetId} in range but not in attack direction`);
-                        }
-                    }
-                }
-                
-                // FORCE HIT: If players are very close, consider it a hit regardless of direction
-                if (attackData.hitPlayers.length === 0) {
-                    for (const targetId in players) {
-                        // Skip attacker and non-registered players
-                        if (targetId === socket.id || !players[targetId].fullyRegistered) continue;
-                        
-                        const targetPos = players[targetId].position;
-                        const attackerPos = attackData.position;
-                        const dx = targetPos.x - attackerPos.x;
-                        const dz = targetPos.z - attackerPos.z;
-                        const distance = Math.sqrt(dx * dx + dz * dz);
-                        
-                        // Super aggressive hit detection - if very close, just hit
-                        if (distance < hitRange * 1.5) {
-                            attackData.hitPlayers.push(targetId);
-                            console.log(`[ATTACK] FORCED hit on player ${targetId} at close range (${distance.toFixed(2)})`);
-                            break;
-                        }
-                    }
-                }
+            // Clients sending input commands attack through them - their cooldowns run
+            // on the input clock, which this wall-clock path would throw off
+            if (currentPlayerData.usesInputs) {
+                socket.emit('attackRejected', { reason: 'use_input_commands' });
+                return;
             }
             
-            // Process damage for hit players
-            if (attackData.hitPlayers.length > 0) {
-                console.log(`[ATTACK] Hit players: ${attackData.hitPlayers.join(', ')}`);
-                
-                // Apply damage to each hit player
-                attackData.hitPlayers.forEach(targetId => {
-                    if (players[targetId]) {
-                        // Calculate damage based on various factors
-                        let damage = attackData.damage;
-                        
-                        // Reduce damage based on distance (if we had position data)
-                        if (data.position && players[targetId].position) {
-                            const dx = players[targetId].position.x - data.position.x;
-                            const dz = players[targetId].position.z - data.position.z;
-                            const distance = Math.sqrt(dx * dx + dz * dz);
-                            
-                            // Damage falloff at range (example: 20% less damage at max range)
-                            const hitRange = getSwordHitRange(attackData.swordType);
-                            const rangeFactor = 1 - (0.2 * (distance / hitRange));
-                            damage = Math.floor(damage * rangeFactor);
-                        }
-                        
-                        // Store the previous health for logging
-                        const previousHealth = players[targetId].health;
-                        
-                        // Apply damage
-                        players[targetId].health = Math.max(0, players[targetId].health - damage);
-                        
-                        console.log(`[ATTACK] Player ${targetId} took ${damage} damage, health reduced from ${previousHealth} to ${players[targetId].health}`);
-                        
-                        // Notify the hit player about damage taken
-                        io.to(targetId).emit('playerDamaged', {
-                            id: targetId,
-                            attackerId: socket.id,
-                            amount: damage,
-                            swordType: attackData.swordType,
-                            health: players[targetId].health
-                        });
-                        
-                        // Check if player was defeated
-                        if (players[targetId].health <= 0) {
-                            console.log(`[ATTACK] Player ${targetId} was defeated by ${socket.id}!`);
-                            
-                            // Notify all clients about the defeat
-                            io.emit('playerDefeated', {
-                                id: targetId,
-                                attackerId: socket.id
-                            });
-                        }
-                    }
-                });
-            } else {
-                console.log(`[ATTACK] No players were hit by this attack`);
+            // Validate the attack and queue it for the next tick
+            const reason = tryStartAttack(currentPlayerData, data, Date.now());
+            if (reason) {
+                debugLog(`[ATTACK] Attack rejected for ${socket.id}: ${reason}`);
+                socket.emit('attackRejected', { reason: reason });
+                return;
             }
-            
-            // Broadcast attack to all other players
-            console.log(`[ATTACK] Broadcasting attack to all players`);
-            socket.broadcast.emit('playerAttacked', attackData);
-            
         } catch (error) {
             console.error(`[ERROR] Error handling player attack: ${error.message}`);
             console.error(error.stack);
         }
     });
     
-    // Helper function to calculate damage based on sword type
-    function calculateDamageFromSwordType(swordType) {
-        switch(swordType) {
-            case 'broadsword': return Math.round(15 * 0.7); // Reduced by 30%
-            case 'katana': return Math.round(12 * 0.7); // Reduced by 30%
-            case 'ninjato': return Math.round(10 * 0.7); // Reduced by 30%
-            case 'greatsword': return Math.round(20 * 0.7); // Reduced by 30%
-            case 'rapier': return Math.round(12 * 0.7); // Reduced by 30%
-            case 'dualdaggers': return Math.round(8 * 0.7); // Reduced by 30%
-            default: return Math.round(10 * 0.7); // Default damage reduced by 30%
-        }
-    }
-    
-    // Helper function to get sword hit range based on type
-    function getSwordHitRange(swordType) {
-        switch(swordType) {
-            case 'broadsword': return 2.5;
-            case 'katana': return 2.8;
-            case 'ninjato': return 2.0;
-            case 'greatsword': return 3.2;
-            case 'rapier': return 3.0;
-            case 'dualdaggers': return 1.8;
-            default: return 2.5; // Default range
-        }
-    }
-    
-    // Handle damage
+    // Clients can't apply damage - health only changes through server-resolved attacks
     socket.on('playerDamaged', (data) => {
-        const { targetId, damage } = data;
-        
-        if (players[targetId]) {
-            players[targetId].health -= damage;
-            
-            // Broadcast health update to all players
-            io.emit('healthUpdate', {
-                id: targetId,
-                health: players[targetId].health
-            });
-            
-            // Check if player is defeated
-            if (players[targetId].health <= 0) {
-                // Reset health to 0 for consistency
-                players[targetId].health = 0;
-                
-                // Broadcast player defeat
-                io.emit('playerDefeated', { id: targetId });
-            }
-        }
+        debugLog(`[ATTACK] Rejected client damage report from ${socket.id}`);
+        socket.emit('attackRejected', { reason: 'client_damage_not_allowed' });
     });
     
     // Handle player respawn
-    socket.on('playerRespawn', (data) => {
+    socket.on('playerRespawn', () => {
         if (players[socket.id]) {
-            // Reset player health
-            players[socket.id].health = 100;
+            // Only the dead respawn - otherwise this would be a free heal and teleport
+            if (players[socket.id].health > 0) {
+                socket.emit('respawnRejected', { reason: 'not_dead' });
+                return;
+            }
             
-            // Update player position if provided
-            if (data.position) {
-                players[socket.id].position = data.position;
+            // Some modes hold respawns back (e.g. until the round ends)
+            const room = getPlayerRoom(players[socket.id]);
+            const mode = room ? ROOM_MODES[room.mode] : null;
+            if (mode && mode.canRespawn && !mode.canRespawn(room, players[socket.id])) {
+                socket.emit('respawnRejected', { reason: mode.respawnRejectedReason || 'mode_rules' });
+                return;
             }
             
-            // Broadcast player respawn to all players
-            io.emit('playerRespawned', {
+            // The server picks the spawn point (modes may have their own, e.g. team sides)
+            const position = room ? getSpawnPosition(room, players[socket.id]) :
+                findSpawnPosition(getPlayerMap(players[socket.id]));
+            
+            // Reset player health, stamina and combat state
+            resetPlayerForSpawn(players[socket.id], position);
+            
+            // Broadcast player respawn to the room
+            io.to(players[socket.id].roomId).emit('playerRespawned', {
                 id: socket.id,
                 position: players[socket.id].position
             });
@@ -902,16 +4517,24 @@ io.on('connection', (socket) => {
     
     // Handle chat messages
     socket.on('chatMessage', (message) => {
+        // Spectators can chat with the room they're watching
+        const sender = players[socket.id] || spectators[socket.id];
+        
         // Add sender information
         const messageData = {
-            sender: players[socket.id]?.name || 'Unknown',
+            sender: sender?.name || 'Unknown',
             senderId: socket.id,
             message: message,
             timestamp: Date.now()
         };
         
-        // Broadcast message to all players
-        io.emit('chatMessage', messageData);
+        // Broadcast message to everyone in the sender's room
+        io.to(sender?.roomId || DEFAULT_ROOM_ID).emit('chatMessage', messageData);
+        recordReplayEvent(games[sender?.roomId], 'chat', {
+            id: socket.id,
+            name: messageData.sender,
+            message: String(message).slice(0, REPLAY_MAX_CHAT_LENGTH)
+        });
     });
     
     // Handle disconnection
@@ -920,7 +4543,13 @@ io.on('connection', (socket) => {
         console.log(`Socket ID: ${socket.id}`);
         console.log(`Reason: ${reason}`);
         
-        if (players[socket.id]) {
+        // Stop measuring latency for this socket
+        clearInterval(latencyProbeInterval);
+        
+        if (spectators[socket.id]) {
+            console.log(`Spectator ${spectators[socket.id].name} (${socket.id}) stopped watching`);
+            delete spectators[socket.id];
+        } else if (players[socket.id]) {
             // Get player name before removing
             const playerName = players[socket.id].name;
             const joinedAt = players[socket.id].joinedAt;
@@ -934,8 +4563,12 @@ io.on('connection', (socket) => {
             console.log(`Was fully registered: ${wasFullyRegistered ? 'Yes' : 'No'}`);
             console.log(`Last position: ${JSON.stringify(lastPosition)}`);
             
-            // Immediately notify ALL clients about this player leaving
-            io.emit('playerLeft', {
+            // Leave the match room
+            const room = getPlayerRoom(players[socket.id]);
+            removePlayerFromRoom(socket.id, room);
+            
+            // Immediately notify the room about this player leaving
+            io.to(room ? room.id : DEFAULT_ROOM_ID).emit('playerLeft', {
                 id: socket.id,
                 name: playerName,
                 lastPosition: lastPosition,
@@ -943,9 +4576,10 @@ io.on('connection', (socket) => {
                 reason: 'disconnect',
                 socketId: socket.id // Include socket ID for reference
             });
-            console.log(`Emitted playerLeft event for ${socket.id} (${playerName}) to ALL clients`);
+            console.log(`Emitted playerLeft event for ${socket.id} (${playerName}) to room ${room ? room.id : DEFAULT_ROOM_ID}`);
             
-            // Remove player from players object
+            // Bank the rest of their playtime, then remove player from players object
+            countPlaytime(players[socket.id], Date.now());
             delete players[socket.id];
             
             // Also remove from potential ghosts if present
@@ -1003,8 +4637,10 @@ io.on('connection', (socket) => {
         
         console.log(`[${new Date().toISOString()}] Removing ghost player: ${ghostPlayer.name} (${data.ghostId})`);
         
-        // Notify all clients about the player leaving
-        io.emit('playerLeft', {
+        // Notify the ghost's room about the player leaving
+        const ghostRoom = getPlayerRoom(ghostPlayer);
+        removePlayerFromRoom(data.ghostId, ghostRoom);
+        io.to(ghostRoom ? ghostRoom.id : DEFAULT_ROOM_ID).emit('playerLeft', {
             id: data.ghostId,
             name: ghostPlayer.name,
             reason: 'ghost_player_removal',
@@ -1028,29 +4664,262 @@ io.on('connection', (socket) => {
     socket.on('requestActivePlayersList', () => {
         console.log(`[${new Date().toISOString()}] Player ${socket.id} requested active players list`);
         
-        // Send all active player IDs to the client
+        // Send the active player IDs in the client's room
+        const roomId = players[socket.id]?.roomId;
         socket.emit('activePlayersList', {
-            players: Object.keys(players).filter(id => players[id].fullyRegistered),
+            players: Object.keys(players).filter(id => players[id].fullyRegistered && players[id].roomId === roomId),
             timestamp: Date.now()
         });
     });
 
-    // Handle player being defeated directly (client-side detection)
-    socket.on('playerDefeated', (data) => {
-        const { defeatedBy } = data;
-        
-        if (players[socket.id]) {
-            // Mark player as defeated
-            players[socket.id].health = 0;
-            
-            console.log(`[SERVER] Player ${socket.id} was defeated by ${defeatedBy}`);
-            
-            // Broadcast the defeat to all players with the attacker ID
-            io.emit('playerDefeated', {
-                id: socket.id,
-                attackerId: defeatedBy
+    // List the match rooms on this server
+    socket.on('listRooms', () => {
+        socket.emit('roomList', {
+            rooms: Object.values(games).filter(room => !ROOM_MODES[room.mode].inviteOnly).map(buildRoomSummary),
+            currentRoomId: players[socket.id]?.roomId || null,
+            // What the create-match form can offer
+            modes: Object.keys(ROOM_MODES).filter(id => !ROOM_MODES[id].inviteOnly)
+                .map(id => ({ id, name: ROOM_MODES[id].name })),
+            maps: Object.keys(MAP_PRESETS).map(id => ({ id, name: MAP_PRESETS[id].name })),
+            botDifficulties: Object.keys(BOT_DIFFICULTIES),
+            ping: typeof players[socket.id]?.rtt === 'number' ? Math.round(players[socket.id].rtt) : null
+        });
+    });
+
+    // Create a new match room and move the creator into it
+    socket.on('createRoom', (options) => {
+        const player = players[socket.id];
+        if (!player || !player.fullyRegistered) {
+            socket.emit('roomError', { action: 'create', reason: 'not_registered' });
+            return;
+        }
+
+        const mode = options?.mode || 'deathmatch';
+        const mapPreset = options?.map || 'arena';
+        if (!ROOM_MODES[mode] || ROOM_MODES[mode].inviteOnly) {
+            socket.emit('roomError', { action: 'create', reason: 'invalid_mode' });
+            return;
+        }
+        if (!MAP_PRESETS[mapPreset]) {
+            socket.emit('roomError', { action: 'create', reason: 'invalid_map' });
+            return;
+        }
+        if (Object.keys(games).length >= MAX_ROOMS) {
+            socket.emit('roomError', { action: 'create', reason: 'too_many_rooms' });
+            return;
+        }
+
+        // Sanitize the name and player limit
+        const name = typeof options?.name === 'string' && options.name.trim() !== '' ?
+            options.name.trim().substring(0, 32) : `${player.name}'s match`;
+        const maxPlayers = Math.max(2, Math.min(MAX_ROOM_PLAYERS, parseInt(options?.maxPlayers, 10) || MAX_ROOM_PLAYERS));
+        // A password makes the room private
+        const password = typeof options?.password === 'string' && options.password !== '' ?
+            options.password.substring(0, 64) : null;
+
+        const friendlyFire = typeof options?.friendlyFire === 'boolean' ? options.friendlyFire : null;
+
+        // Optional bots to fill the match up to a player count
+        const bots = Math.max(0, Math.min(maxPlayers, parseInt(options?.bots, 10) || 0));
+        const botDifficulty = BOT_DIFFICULTIES[options?.botDifficulty] ? options.botDifficulty : 'normal';
+
+        const room = createRoom({ name, mode, mapPreset, maxPlayers, password, friendlyFire, createdBy: socket.id, bots, botDifficulty });
+        movePlayerToRoom(socket, room);
+    });
+
+    // Watch a room instead of playing - our `players` entry goes away so nobody can hit us
+    socket.on('spectate', (data) => {
+        const room = games[data?.roomId || DEFAULT_ROOM_ID];
+        if (!room) {
+            socket.emit('roomError', { action: 'spectate', reason: 'room_not_found' });
+            return;
+        }
+        if (room.password && data.password !== room.password) {
+            socket.emit('roomError', { action: 'spectate', reason: 'wrong_password', roomId: room.id });
+            return;
+        }
+
+        const player = players[socket.id];
+        if (player) {
+            const previousRoom = getPlayerRoom(player);
+            removePlayerFromRoom(socket.id, previousRoom);
+            if (player.fullyRegistered) {
+                io.to(previousRoom ? previousRoom.id : DEFAULT_ROOM_ID).emit('playerLeft', {
+                    id: socket.id,
+                    name: player.name,
+                    lastPosition: player.position,
+                    reason: 'spectating'
+                });
+            }
+            countPlaytime(player, Date.now());
+            leaveMatchmakingQueue(socket.id, 'spectating');
+            delete players[socket.id];
+            delete potentialGhostPlayers[socket.id];
+        }
+
+        const name = resolvePlayerName(socket, data?.name, `Spectator_${socket.id.substring(0, 5)}`);
+        if (!spectators[socket.id]) {
+            spectators[socket.id] = { id: socket.id, roomId: null, joinedAt: Date.now() };
+        }
+        spectators[socket.id].name = name;
+        spectateRoom(socket, room);
+    });
+
+    // Join an existing match room
+    socket.on('joinRoom', (data) => {
+        const player = players[socket.id];
+        if (!player || !player.fullyRegistered) {
+            socket.emit('roomError', { action: 'join', reason: 'not_registered' });
+            return;
+        }
+
+        const room = games[data?.roomId];
+        if (!room) {
+            socket.emit('roomError', { action: 'join', reason: 'room_not_found' });
+            return;
+        }
+        if (ROOM_MODES[room.mode].inviteOnly && player.roomId !== room.id) {
+            socket.emit('roomError', { action: 'join', reason: 'invite_only' });
+            return;
+        }
+        if (player.roomId !== room.id && countHumanPlayers(room) >= room.maxPlayers) {
+            socket.emit('roomError', { action: 'join', reason: 'room_full' });
+            return;
+        }
+        if (room.password && data.password !== room.password) {
+            socket.emit('roomError', { action: 'join', reason: 'wrong_password', roomId: room.id });
+            return;
+        }
+
+        movePlayerToRoom(socket, room);
+    });
+
+    // Join the best open match, or start a new one if none has space
+    socket.on('quickPlay', (data) => {
+        const player = players[socket.id];
+        if (!player || !player.fullyRegistered) {
+            socket.emit('roomError', { action: 'quickPlay', reason: 'not_registered' });
+            return;
+        }
+
+        const mode = ROOM_MODES[data?.mode] && !ROOM_MODES[data.mode].inviteOnly ? data.mode : null;
+        let room = findQuickPlayRoom(mode);
+        if (!room) {
+            if (Object.keys(games).length >= MAX_ROOMS) {
+                socket.emit('roomError', { action: 'quickPlay', reason: 'too_many_rooms' });
+                return;
+            }
+            room = createRoom({ name: 'Quick Match', mode: mode || 'deathmatch', createdBy: socket.id, bots: BOT_FILL_TARGET });
+        }
+
+        movePlayerToRoom(socket, room);
+    });
+
+    // Wait in the matchmaking queue for a ranked match
+    socket.on('joinQueue', () => {
+        const player = players[socket.id];
+        if (!player || !player.fullyRegistered) {
+            socket.emit('queueStatus', { queued: false, reason: 'not_registered' });
+            return;
+        }
+        if (matchmakingQueue.has(socket.id)) return;
+
+        matchmakingQueue.set(socket.id, { id: socket.id, joinedAt: Date.now() });
+        console.log(`[MATCHMAKING] ${player.name} joined the queue at rating ${Math.round(getPlayerRating(player))}`);
+        socket.emit('queueStatus', buildQueueStatus(matchmakingQueue.get(socket.id), Date.now()));
+    });
+
+    socket.on('leaveQueue', () => {
+        leaveMatchmakingQueue(socket.id, 'left');
+    });
+
+    // Leave the current match and go back to the open arena
+    socket.on('leaveRoom', () => {
+        if (!players[socket.id] || players[socket.id].roomId === DEFAULT_ROOM_ID) return;
+        movePlayerToRoom(socket, games[DEFAULT_ROOM_ID]);
+    });
+
+    // Challenge another player to a duel by name
+    socket.on('challengeDuel', (data) => {
+        const player = players[socket.id];
+        if (!player || !player.fullyRegistered) {
+            socket.emit('duelError', { reason: 'not_registered' });
+            return;
+        }
+
+        const target = typeof data?.name === 'string' ? findPlayerByName(data.name) : null;
+        if (!target) {
+            socket.emit('duelError', { reason: 'player_not_found' });
+            return;
+        }
+        if (target.id === socket.id) {
+            socket.emit('duelError', { reason: 'cannot_challenge_self' });
+            return;
+        }
+        if (target.isBot) {
+            socket.emit('duelError', { reason: 'target_is_bot' });
+            return;
+        }
+        if (isBusyWithDuel(socket.id) || isBusyWithDuel(target.id)) {
+            socket.emit('duelError', { reason: 'already_duelling' });
+            return;
+        }
+
+        const bestOf = DUEL_BEST_OF.includes(data?.bestOf) ? data.bestOf : DUEL_BEST_OF[0];
+        const challengeId = `duel_${++duelCounter}`;
+        duelChallenges[challengeId] = {
+            id: challengeId,
+            fromId: socket.id,
+            toId: target.id,
+            bestOf: bestOf,
+            expiresAt: Date.now() + DUEL_CHALLENGE_TIMEOUT
+        };
+
+        console.log(`[DUEL] ${player.name} challenged ${target.name} (best of ${bestOf})`);
+        io.to(target.id).emit('duelChallenge', {
+            challengeId: challengeId,
+            fromId: socket.id,
+            fromName: player.name,
+            bestOf: bestOf,
+            expiresAt: duelChallenges[challengeId].expiresAt
+        });
+        socket.emit('duelChallengeSent', { challengeId, targetName: target.name, bestOf });
+    });
+
+    // Accept or decline a duel challenge
+    socket.on('respondDuel', (data) => {
+        const challenge = duelChallenges[data?.challengeId];
+        if (!challenge || challenge.toId !== socket.id) {
+            socket.emit('duelError', { reason: 'challenge_not_found' });
+            return;
+        }
+        delete duelChallenges[challenge.id];
+
+        if (!data.accept) {
+            io.to(challenge.fromId).emit('duelDeclined', {
+                challengeId: challenge.id,
+                targetName: players[socket.id]?.name || null,
+                reason: 'declined'
             });
+            return;
+        }
+
+        if (!players[challenge.fromId] || !players[challenge.fromId].fullyRegistered) {
+            socket.emit('duelError', { reason: 'player_not_found' });
+            return;
+        }
+        if (Object.keys(games).length >= MAX_ROOMS) {
+            [challenge.fromId, socket.id].forEach(id => io.to(id).emit('duelError', { reason: 'too_many_rooms' }));
+            return;
         }
+
+        startDuelFromChallenge(challenge);
+    });
+
+    // Clients can't declare defeats - the simulation tick announces deaths itself
+    socket.on('playerDefeated', (data) => {
+        debugLog(`[ATTACK] Rejected client defeat report from ${socket.id}`);
+        socket.emit('attackRejected', { reason: 'client_defeat_not_allowed' });
     });
 });
 
@@ -1060,10 +4929,12 @@ const PORT = 8989;
 const DIAGNOSTIC_PORT = 8990;
 
 // Start the server
-server.listen(PORT, HOST, () => {
-    console.log(`Socket.io server initialized and ready for connections`);
-    console.log(`Server listening on http://${HOST}:${PORT}`);
-});
+if (RUN_AS_SERVER) {
+    server.listen(PORT, HOST, () => {
+        console.log(`Socket.io server initialized and ready for connections`);
+        console.log(`Server listening on http://${HOST}:${PORT}`);
+    });
+}
 
 // Create a separate HTTP server for the diagnostic WebSocket server to avoid conflicts with Socket.io
 const diagnosticServer = http.createServer((req, res) => {
@@ -1136,19 +5007,23 @@ wss.on('connection', (ws) => {
 });
 
 // Start diagnostic server
-diagnosticServer.listen(DIAGNOSTIC_PORT, HOST, () => {
-    console.log(`Diagnostic WebSocket server running on port ${DIAGNOSTIC_PORT}`);
-});
+if (RUN_AS_SERVER) {
+    diagnosticServer.listen(DIAGNOSTIC_PORT, HOST, () => {
+        console.log(`Diagnostic WebSocket server running on port ${DIAGNOSTIC_PORT}`);
+    });
+}
 
 /**
  * Send existing players to a specific client
  */
 function sendExistingPlayersToClient(socket) {
     const filteredPlayers = {};
+    // Spectators get the room they're watching
+    const roomId = players[socket.id]?.roomId || spectators[socket.id]?.roomId;
     
-    // Only send fully registered players
+    // Only send fully registered players in the same room
     Object.keys(players).forEach(id => {
-        if (players[id].fullyRegistered) {
+        if (players[id].fullyRegistered && players[id].roomId === roomId) {
             // Create a copy without internal fields
             filteredPlayers[id] = {
                 id: players[id].id,
@@ -1157,13 +5032,25 @@ function sendExistingPlayersToClient(socket) {
                 swordType: players[id].swordType,
                 position: players[id].position,
                 rotation: players[id].rotation,
-                health: players[id].health
+                health: players[id].health,
+                team: players[id].team || null,
+                carryingFlag: players[id].carryingFlag || null
             };
         }
     });
     
+    // Room state late joiners need (mode state such as flags, and the power-ups
+    // lying around) rides along as a second argument
+    const room = games[roomId];
+    const mode = room ? ROOM_MODES[room.mode] : null;
+    const matchState = room ? {
+        roomId,
+        ...(mode.getMatchState ? mode.getMatchState(room) : {}),
+        powerUps: Object.values(room.powerUps)
+    } : null;
+    
     // Send the filtered list to the client
-    socket.emit('existingPlayers', filteredPlayers);
+    socket.emit('existingPlayers', filteredPlayers, matchState);
     
     console.log(`Sending ${Object.keys(filteredPlayers).length} players to ${socket.id}`);
 }
@@ -1171,3 +5058,28 @@ function sendExistingPlayersToClient(socket) {
 // Log that the Socket.io server is ready
 console.log('Socket.io server initialized and ready for connections');
 
+// Helpers the tests reach into
+module.exports = {
+    games,
+    players,
+    accountStore,
+    hashPassword,
+    verifyPassword,
+    createSession,
+    getSessionAccount,
+    validateCredentials,
+    getCareerStats,
+    getPlayerRating,
+    updateRatings,
+    rateMatchResult,
+    rateForfeit,
+    RATING_START,
+    RATING_MATCH_K,
+    tryStartAttack,
+    startInputCommands,
+    createRoom,
+    getRoomResults,
+    getForfeitWinner,
+    runSimulationTick,
+    ROOM_EMPTY_TIMEOUT
+};
@@ -0,0 +1,83 @@
+// Accounts - password hashing and session tokens
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the account store out of the real data/ directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sword-game-accounts-'));
+const server = require('../server');
+
+// Register an account the way /auth/register does
+function registerAccount(username, password) {
+    const salt = 'test-salt-' + username;
+    return new Promise((resolve, reject) => {
+        server.hashPassword(password, salt, (error, hash) => {
+            if (error) return reject(error);
+            const account = { username, salt, passwordHash: hash, createdAt: Date.now(), lastLoginAt: null };
+            server.accountStore.data.accounts[username.toLowerCase()] = account;
+            resolve(account);
+        });
+    });
+}
+
+// verifyPassword as a promise
+function verify(account, password) {
+    return new Promise((resolve, reject) => {
+        server.verifyPassword(account, password, (error, matches) => error ? reject(error) : resolve(matches));
+    });
+}
+
+test.after(async () => {
+    // Let the last store write finish before removing its directory
+    while (server.accountStore.saving) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('passwords are salted and never stored as given', async () => {
+    const first = await registerAccount('Hasher', 'hunter22');
+    const second = await registerAccount('Hasher2', 'hunter22');
+    assert.notEqual(first.passwordHash, 'hunter22');
+    assert.match(first.passwordHash, /^[0-9a-f]{128}$/);
+    // Same password, different salt
+    assert.notEqual(first.passwordHash, second.passwordHash);
+});
+
+test('only the right password verifies', async () => {
+    const account = await registerAccount('Verifier', 'correct horse');
+    assert.equal(await verify(account, 'correct horse'), true);
+    assert.equal(await verify(account, 'Correct horse'), false);
+    assert.equal(await verify(account, ''), false);
+});
+
+test('a session token finds its account until it expires', async () => {
+    const account = await registerAccount('Sessioner', 'password1');
+    const token = server.createSession(account);
+
+    assert.equal(server.getSessionAccount(token), account);
+    // Only a hash of the token is stored
+    assert.equal(server.accountStore.data.sessions[token], undefined);
+
+    for (const key in server.accountStore.data.sessions) {
+        server.accountStore.data.sessions[key].expiresAt = Date.now() - 1;
+    }
+    assert.equal(server.getSessionAccount(token), null);
+});
+
+test('unknown and malformed tokens find nothing', () => {
+    assert.equal(server.getSessionAccount('not-a-real-token'), null);
+    assert.equal(server.getSessionAccount(''), null);
+    assert.equal(server.getSessionAccount(undefined), null);
+    assert.equal(server.getSessionAccount({ token: 'x' }), null);
+});
+
+test('credentials are checked before any hashing', () => {
+    assert.equal(server.validateCredentials('ok_name', 'long enough'), null);
+    assert.equal(server.validateCredentials('no', 'long enough'), 'invalid_username');
+    assert.equal(server.validateCredentials('bad name!', 'long enough'), 'invalid_username');
+    assert.equal(server.validateCredentials('ok_name', 'short'), 'invalid_password');
+    assert.equal(server.validateCredentials('ok_name', 'x'.repeat(129)), 'invalid_password');
+});
@@ -0,0 +1,60 @@
+// Attack timing - cooldowns on the wall clock and the input clock
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameDefinitions = require('../game-definitions');
+const server = require('../server');
+
+let playerCounter = 0;
+
+// A player who hasn't swung yet
+function createPlayer() {
+    return {
+        id: `attack_${++playerCounter}`,
+        characterType: 'knight',
+        swordType: 'broadsword',
+        health: 120,
+        stamina: GameDefinitions.STAMINA.max,
+        lastAttackClock: -Infinity
+    };
+}
+
+test('a second swing inside the cooldown is rejected', () => {
+    const player = createPlayer();
+    const now = Date.now();
+    const cooldown = GameDefinitions.getAttackCooldown('knight', 'broadsword');
+
+    assert.equal(server.tryStartAttack(player, {}, now, 10), null);
+    assert.equal(player.stamina, GameDefinitions.STAMINA.max - GameDefinitions.getAttackStaminaCost('broadsword'));
+    assert.equal(server.tryStartAttack(player, {}, now, 10 + cooldown / 2), 'cooldown');
+    assert.equal(server.tryStartAttack(player, {}, now, 10 + cooldown), null);
+});
+
+test('a legacy swing does not block input attacks on the input clock', () => {
+    const player = createPlayer();
+    const now = Date.now();
+
+    // playerAttack swings are timed on the wall clock, in seconds since 1970
+    assert.equal(server.tryStartAttack(player, {}, now), null);
+
+    // The input clock starts near zero - without the switch this swing would look
+    // decades too early and be rejected until the input clock caught up
+    server.startInputCommands(player);
+    assert.equal(server.tryStartAttack(player, {}, now, 2), null);
+    assert.equal(server.tryStartAttack(player, {}, now, 2.1), 'cooldown');
+});
+
+test('later input commands keep the input clock cooldown', () => {
+    const player = createPlayer();
+    server.startInputCommands(player);
+    assert.equal(server.tryStartAttack(player, {}, Date.now(), 5), null);
+
+    server.startInputCommands(player);
+    assert.equal(server.tryStartAttack(player, {}, Date.now(), 5.1), 'cooldown');
+});
+
+test('dead players and foreign swords are rejected', () => {
+    const player = createPlayer();
+    assert.equal(server.tryStartAttack(player, { swordType: 'katana' }, Date.now(), 1), 'invalid_weapon');
+    player.health = 0;
+    assert.equal(server.tryStartAttack(player, {}, Date.now(), 1), 'player_dead');
+});
@@ -0,0 +1,39 @@
+// Shared definitions - attack cooldowns and stamina costs
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GameDefinitions = require('../game-definitions');
+
+test('the slower of character and sword sets the attack cooldown', () => {
+    // Knight swings every 1.2s, faster than the greatsword's 1.4s
+    assert.equal(GameDefinitions.getAttackCooldown('knight', 'greatsword'), 1.4);
+    // Knight is slower than the broadsword's 1.0s
+    assert.equal(GameDefinitions.getAttackCooldown('knight', 'broadsword'), 1.2);
+    // Ninja and ninjato agree on 0.5s
+    assert.equal(GameDefinitions.getAttackCooldown('ninja', 'ninjato'), 0.5);
+});
+
+test('unknown characters and swords fall back to knight and broadsword', () => {
+    assert.equal(GameDefinitions.getAttackCooldown('pirate', 'cutlass'), GameDefinitions.getAttackCooldown('knight', 'broadsword'));
+    assert.equal(GameDefinitions.getAttackStaminaCost('cutlass'), GameDefinitions.getAttackStaminaCost('broadsword'));
+});
+
+test('heavier swords cost more stamina per swing', () => {
+    const base = GameDefinitions.STAMINA.attackCost;
+    // 12 base plus 12 scaled by damage / 10
+    assert.equal(GameDefinitions.getAttackStaminaCost('dual_daggers'), base + Math.round(base * 0.6));
+    assert.equal(GameDefinitions.getAttackStaminaCost('greatsword'), base + Math.round(base * 1.4));
+    assert.ok(GameDefinitions.getAttackStaminaCost('greatsword') > GameDefinitions.getAttackStaminaCost('katana'));
+});
+
+test('every swing is affordable from a full stamina bar', () => {
+    for (const swordType in GameDefinitions.SWORDS) {
+        const cost = GameDefinitions.getAttackStaminaCost(swordType);
+        assert.ok(cost > 0 && cost <= GameDefinitions.STAMINA.max, `${swordType} costs ${cost}`);
+    }
+});
+
+test('characters only carry their own swords', () => {
+    assert.ok(GameDefinitions.isSwordAllowed('samurai', 'katana'));
+    assert.ok(!GameDefinitions.isSwordAllowed('samurai', 'greatsword'));
+    assert.ok(!GameDefinitions.isSwordAllowed('ninja', 'not_a_sword'));
+});
@@ -0,0 +1,116 @@
+// Skill ratings - Elo updates for kills, match results and forfeits
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the account and stats stores out of the real data/ directory
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'sword-game-ratings-'));
+const server = require('../server');
+
+let playerCounter = 0;
+
+// A registered player with an account at the given rating, or a guest with no username
+function createPlayer(username, rating = server.RATING_START, extra = {}) {
+    const id = `test_${++playerCounter}`;
+    const player = { id, name: username || id, fullyRegistered: true, ...extra };
+    if (username) {
+        server.accountStore.data.accounts[username.toLowerCase()] = { username, createdAt: Date.now() };
+        player.account = username.toLowerCase();
+        server.getCareerStats(player).rating = rating;
+    }
+    server.players[id] = player;
+    return player;
+}
+
+// A match room with the given players in it
+function createRoomWith(mode, roomPlayers) {
+    const room = server.createRoom({ name: `Ratings ${mode}`, mode });
+    roomPlayers.forEach(player => {
+        room.players.add(player.id);
+        player.roomId = room.id;
+    });
+    return room;
+}
+
+test.after(() => {
+    fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('evenly rated players swap half of k', () => {
+    const winner = createPlayer('EvenA');
+    const loser = createPlayer('EvenB');
+    server.updateRatings(winner, loser, 32);
+    assert.equal(server.getPlayerRating(winner), server.RATING_START + 16);
+    assert.equal(server.getPlayerRating(loser), server.RATING_START - 16);
+});
+
+test('an upset moves ratings more than the expected result', () => {
+    const underdog = createPlayer('Underdog', 1000);
+    const favourite = createPlayer('Favourite', 1400);
+    server.updateRatings(underdog, favourite, 32);
+    const upsetGain = server.getPlayerRating(underdog) - 1000;
+
+    const favourite2 = createPlayer('Favourite2', 1400);
+    const underdog2 = createPlayer('Underdog2', 1000);
+    server.updateRatings(favourite2, underdog2, 32);
+    const expectedGain = server.getPlayerRating(favourite2) - 1400;
+
+    assert.ok(upsetGain > 16 && upsetGain < 32, `upset gained ${upsetGain}`);
+    assert.ok(expectedGain > 0 && expectedGain < 16, `expected win gained ${expectedGain}`);
+    // Points only change hands
+    assert.equal(server.getPlayerRating(favourite), 1400 - upsetGain);
+});
+
+test('bots are never rated and guests keep nothing', () => {
+    const person = createPlayer('BotHunter');
+    const bot = createPlayer(null, server.RATING_START, { isBot: true });
+    server.updateRatings(person, bot, 32);
+    assert.equal(server.getPlayerRating(person), server.RATING_START);
+
+    const guest = createPlayer(null);
+    server.updateRatings(guest, person, 32);
+    assert.equal(server.getPlayerRating(guest), server.RATING_START);
+    assert.equal(server.getPlayerRating(person), server.RATING_START - 16);
+});
+
+test('a match winner takes rating from everyone else in the room', () => {
+    const winner = createPlayer('MatchWinner');
+    const second = createPlayer('MatchSecond');
+    const third = createPlayer('MatchThird');
+    const room = createRoomWith('deathmatch', [winner, second, third]);
+
+    server.rateMatchResult(room, { id: winner.id });
+
+    // RATING_MATCH_K is shared across the two opponents, so about a quarter of it comes from each
+    const gain = server.getPlayerRating(winner) - server.RATING_START;
+    assert.ok(Math.abs(gain - server.RATING_MATCH_K / 2) < 0.5, `winner gained ${gain}`);
+    assert.ok(Math.abs(server.getPlayerRating(second) - (server.RATING_START - server.RATING_MATCH_K / 4)) < 0.5);
+    assert.ok(Math.abs(server.getPlayerRating(third) - (server.RATING_START - server.RATING_MATCH_K / 4)) < 0.5);
+    delete server.games[room.id];
+});
+
+test('co-op survival is unrated', () => {
+    const first = createPlayer('SurvivorA');
+    const second = createPlayer('SurvivorB');
+    const room = createRoomWith('survival', [first, second]);
+
+    server.rateMatchResult(room, { id: first.id });
+
+    assert.equal(server.getPlayerRating(first), server.RATING_START);
+    assert.equal(server.getPlayerRating(second), server.RATING_START);
+    delete server.games[room.id];
+});
+
+test('leaving a match loses it to every opponent still there', () => {
+    const leaver = createPlayer('Leaver');
+    const stayer = createPlayer('Stayer');
+    const room = createRoomWith('deathmatch', [stayer]);
+
+    server.rateForfeit(room, leaver);
+
+    assert.equal(server.getPlayerRating(leaver), server.RATING_START - server.RATING_MATCH_K / 2);
+    assert.equal(server.getPlayerRating(stayer), server.RATING_START + server.RATING_MATCH_K / 2);
+    delete server.games[room.id];
+});
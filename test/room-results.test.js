@@ -0,0 +1,85 @@
+// Match results - final standings and forfeit winners
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const server = require('../server');
+
+let playerCounter = 0;
+
+// A registered player in a room, with the given score so far
+function addPlayer(room, score = {}, extra = {}) {
+    const id = `results_${++playerCounter}`;
+    server.players[id] = { id, name: `Player ${playerCounter}`, fullyRegistered: true, roomId: room.id, ...extra };
+    room.players.add(id);
+    room.scores[id] = { name: `Player ${playerCounter}`, kills: 0, deaths: 0, points: 0, damage: 0, team: extra.team || null, ...score };
+    return server.players[id];
+}
+
+// Take a player out of the room, as if they'd left
+function removePlayer(room, player) {
+    room.players.delete(player.id);
+    delete server.players[player.id];
+}
+
+test('results rank points, then kills, then fewest deaths', (t) => {
+    const room = server.createRoom({ name: 'Results', mode: 'king_of_the_hill' });
+    t.after(() => delete server.games[room.id]);
+    const fewerDeaths = addPlayer(room, { points: 40.7, kills: 3, deaths: 1 });
+    const morePoints = addPlayer(room, { points: 55, kills: 0, deaths: 4 });
+    const moreDeaths = addPlayer(room, { points: 40.2, kills: 3, deaths: 2 });
+    const moreKills = addPlayer(room, { points: 40, kills: 5, deaths: 5 });
+
+    const results = server.getRoomResults(room);
+
+    assert.deepEqual(results.map(result => result.id), [morePoints.id, moreKills.id, fewerDeaths.id, moreDeaths.id]);
+    // Points are shown as whole numbers
+    assert.equal(results[2].points, 40);
+});
+
+test('players who left and wave enemies are left out of the results', (t) => {
+    const room = server.createRoom({ name: 'Results left', mode: 'deathmatch' });
+    t.after(() => delete server.games[room.id]);
+    const stayer = addPlayer(room, { kills: 1 });
+    const leaver = addPlayer(room, { kills: 9 });
+    addPlayer(room, { kills: 4 }, { isWaveEnemy: true });
+    removePlayer(room, leaver);
+
+    assert.deepEqual(server.getRoomResults(room).map(result => result.id), [stayer.id]);
+});
+
+test('the last person in a free-for-all wins by forfeit', (t) => {
+    const room = server.createRoom({ name: 'Forfeit', mode: 'deathmatch' });
+    t.after(() => delete server.games[room.id]);
+    const stayer = addPlayer(room, { kills: 0 });
+    const leaver = addPlayer(room, { kills: 6 });
+    addPlayer(room, { kills: 2 }, { isBot: true });
+    removePlayer(room, leaver);
+
+    const results = server.getRoomResults(room);
+    assert.equal(server.getForfeitWinner(room, results).id, stayer.id);
+});
+
+test('nobody wins by forfeit while two people are still in', (t) => {
+    const room = server.createRoom({ name: 'No forfeit', mode: 'deathmatch' });
+    t.after(() => delete server.games[room.id]);
+    addPlayer(room);
+    addPlayer(room);
+    assert.equal(server.getForfeitWinner(room, server.getRoomResults(room)), null);
+
+    const empty = server.createRoom({ name: 'Empty forfeit', mode: 'deathmatch' });
+    t.after(() => delete server.games[empty.id]);
+    assert.equal(server.getForfeitWinner(empty, []), null);
+});
+
+test('a team wins by forfeit only when it is the one team left', (t) => {
+    const room = server.createRoom({ name: 'Team forfeit', mode: 'team_deathmatch' });
+    t.after(() => delete server.games[room.id]);
+    addPlayer(room, {}, { team: 'red' });
+    addPlayer(room, {}, { team: 'red' });
+    const blue = addPlayer(room, {}, { team: 'blue' });
+    room.teamScores.red = 7.6;
+
+    assert.equal(server.getForfeitWinner(room, server.getRoomResults(room)), null);
+
+    removePlayer(room, blue);
+    assert.deepEqual(server.getForfeitWinner(room, server.getRoomResults(room)), { team: 'red', name: 'Red team', score: 7 });
+});
@@ -0,0 +1,29 @@
+// Server tick - room lifecycle changes made during a tick
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const server = require('../server');
+
+test('a tick that closes an empty room finishes without errors', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const closing = server.createRoom({ name: 'Closing' });
+    const staying = server.createRoom({ name: 'Staying' });
+    closing.emptySince = Date.now() - server.ROOM_EMPTY_TIMEOUT - 1;
+
+    server.runSimulationTick();
+
+    assert.equal(server.games[closing.id], undefined);
+    assert.equal(server.games[staying.id], staying);
+    assert.equal(errors.mock.callCount(), 0);
+    delete server.games[staying.id];
+});
+
+test('a countdown everyone walked out of goes back to waiting', () => {
+    const room = server.createRoom({ name: 'Walked out' });
+    room.state = 'countdown';
+    room.stateEndsAt = Date.now() + 5000;
+
+    server.runSimulationTick();
+
+    assert.equal(room.state, 'waiting');
+    delete server.games[room.id];
+});